@@ -9,10 +9,19 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const { Connection, PublicKey, Keypair, Transaction } = require('@solana/web3.js');
-const { getAssociatedTokenAddress, createTransferInstruction, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const { Connection, PublicKey, Keypair, Transaction, TransactionInstruction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+    getAssociatedTokenAddress,
+    createTransferCheckedInstruction,
+    createAssociatedTokenAccountIdempotentInstruction,
+    getMint,
+    getAccountLenForMint,
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
 const bs58 = require('bs58');
 const { MongoClient } = require('mongodb');
+const crypto = require('crypto');
 
 // ═══════════════════════════════════════════════════════════════
 // PERSISTENCE - MongoDB (primary) or JSON files (fallback)
@@ -20,6 +29,8 @@ const { MongoClient } = require('mongodb');
 const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI;
 const DATA_DIR = process.env.DATA_DIR || './data';
 const DATA_FILE = path.join(DATA_DIR, 'chess_data.json');
+const ROOMS_FILE = path.join(DATA_DIR, 'rooms_data.json');
+const PROCESSED_TX_FILE = path.join(DATA_DIR, 'processed_tx.txt');
 
 let mongoDb = null;
 let useMongoDb = false;
@@ -83,6 +94,12 @@ async function saveData() {
         xLinkedAccounts: Object.fromEntries(xLinkedAccounts),
         followers: Object.fromEntries(Array.from(followers.entries()).map(([k, v]) => [k, Array.from(v)])),
         following: Object.fromEntries(Array.from(following.entries()).map(([k, v]) => [k, Array.from(v)])),
+        pgnArchive: Object.fromEntries(pgnArchive),
+        ledger,
+        ledgerCarry,
+        walletBalances: Object.fromEntries(walletBalances),
+        bannedWallets: Object.fromEntries(bannedWallets),
+        adminAudit,
         savedAt: Date.now()
     };
     
@@ -110,12 +127,136 @@ async function saveData() {
     }
 }
 
+// Save profiles & co soon - coalesces bursts (a settled payout writes a balance and two ledger entries) into one write
+let dataSaveTimer = null;
+function queueSaveData() {
+    if (dataSaveTimer) return;
+    dataSaveTimer = setTimeout(() => {
+        dataSaveTimer = null;
+        saveData();
+    }, 1000);
+}
+
+// Live rooms (and the payout queue) are saved separately from profiles - they change on every move
+let roomsSaveTimer = null;
+let roomsWriteChain = Promise.resolve();
+
+// Persist live rooms soon (coalesces bursts of moves into one write)
+function saveRooms() {
+    if (roomsSaveTimer) return;
+    roomsSaveTimer = setTimeout(() => {
+        roomsSaveTimer = null;
+        flushRooms();
+    }, 1000);
+}
+
+// Write live rooms now - writes are chained so they land in order
+function flushRooms() {
+    clearTimeout(roomsSaveTimer);
+    roomsSaveTimer = null;
+    roomsWriteChain = roomsWriteChain.then(writeRooms);
+    return roomsWriteChain;
+}
+
+async function writeRooms() {
+    const data = {
+        rooms: Object.fromEntries(rooms),
+        tttRooms: Object.fromEntries(tttRooms),
+        battleshipRooms: Object.fromEntries(battleshipRooms),
+        payoutJobs: Object.fromEntries(payoutJobs),
+        depositCursors,
+        savedAt: Date.now()
+    };
+    
+    if (mongoDb) {
+        try {
+            await mongoDb.collection('gamedata').updateOne(
+                { _id: 'rooms' },
+                { $set: { data, updatedAt: new Date() } },
+                { upsert: true }
+            );
+            return;
+        } catch (e) {
+            console.error('MongoDB rooms save error:', e.message);
+        }
+    }
+    
+    try {
+        fs.writeFileSync(ROOMS_FILE, JSON.stringify(data));
+    } catch (e) {
+        console.error('Error saving rooms:', e.message);
+    }
+}
+
+async function loadRooms() {
+    if (mongoDb) {
+        try {
+            const doc = await mongoDb.collection('gamedata').findOne({ _id: 'rooms' });
+            if (doc) return doc.data;
+        } catch (e) {
+            console.error('MongoDB rooms load error:', e.message);
+        }
+    }
+    
+    try {
+        if (fs.existsSync(ROOMS_FILE)) {
+            return JSON.parse(fs.readFileSync(ROOMS_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('Error loading rooms:', e.message);
+    }
+    return null;
+}
+
+// Processed payment signatures only ever grow, so they're stored one per document (or line) as they come
+// instead of riding along in the rooms document that is rewritten on every save
+async function storeProcessedTx(signatures) {
+    if (mongoDb) {
+        try {
+            await mongoDb.collection('processedTx').insertMany(signatures.map(sig => ({ _id: sig, processedAt: new Date() })), { ordered: false });
+            return;
+        } catch (e) {
+            if (e.code === 11000) return; // Already stored
+            console.error('MongoDB processedTx save error:', e.message);
+        }
+    }
+    
+    try {
+        fs.appendFileSync(PROCESSED_TX_FILE, signatures.map(sig => `${sig}\n`).join(''));
+    } catch (e) {
+        console.error('Error saving processed transactions:', e.message);
+    }
+}
+
+// Both stores are read - signatures land in the file whenever a Mongo write failed
+async function loadProcessedTx() {
+    const signatures = [];
+    if (mongoDb) {
+        try {
+            const docs = await mongoDb.collection('processedTx').find({}, { projection: { _id: 1 } }).toArray();
+            docs.forEach(doc => signatures.push(doc._id));
+        } catch (e) {
+            console.error('MongoDB processedTx load error:', e.message);
+        }
+    }
+    
+    try {
+        if (fs.existsSync(PROCESSED_TX_FILE)) {
+            signatures.push(...fs.readFileSync(PROCESSED_TX_FILE, 'utf8').split('\n').filter(Boolean));
+        }
+    } catch (e) {
+        console.error('Error loading processed transactions:', e.message);
+    }
+    return signatures;
+}
+
 // Auto-save every 2 minutes
 setInterval(saveData, 2 * 60 * 1000);
+setInterval(saveRooms, 2 * 60 * 1000);
 
 // Save on exit
-process.on('SIGTERM', async () => { await saveData(); process.exit(0); });
-process.on('SIGINT', async () => { await saveData(); process.exit(0); });
+process.on('SIGTERM', async () => { await Promise.all([saveData(), flushRooms()]); process.exit(0); });
+process.on('SIGINT', async () => { await Promise.all([saveData(), flushRooms()]); process.exit(0); });
 
 // ═══════════════════════════════════════════════════════════════
 // TELEGRAM NOTIFICATIONS
@@ -239,22 +380,69 @@ function isValidWallet(address) {
     }
 }
 
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// ed25519 check of a message signed with a wallet's signMessage (signature in base58)
+function verifyWalletSignature(address, message, signature) {
+    if (!isValidWallet(address) || typeof signature !== 'string') return false;
+    try {
+        const key = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(address).toBuffer()]),
+            format: 'der',
+            type: 'spki'
+        });
+        return crypto.verify(null, Buffer.from(message, 'utf8'), key, Buffer.from(bs58.decode(signature)));
+    } catch {
+        return false;
+    }
+}
+
 function sanitizeString(str, maxLen = 100) {
     if (typeof str !== 'string') return '';
     return str.slice(0, maxLen).replace(/[<>]/g, '');
 }
 
+// Admin routes require the x-admin-key header to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) return res.status(503).json({ error: 'Admin API disabled' });
+    const given = Buffer.from(req.get('x-admin-key') || '');
+    const expected = Buffer.from(ADMIN_API_KEY);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
 const PORT = process.env.PORT || 3001;
 const SOLANA_RPC = process.env.SOLANA_RPC || 'https://api.mainnet-beta.solana.com';
 const WALLET_PRIVATE_KEY = process.env.WALLET_PRIVATE_KEY || '';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || ''; // Admin endpoints are disabled without it
 
 // Custom Token Configuration
 const TOKEN_MINT = new PublicKey('BY31GbusfpHcG8idNvP5osfndSECCPrp6BxCr9Z5pump');
 const TOKEN_SYMBOL = '$GGFUN';
 const TOKEN_DECIMALS = 6; // Most pump.fun tokens have 6 decimals
 
+// Stake currencies. mint: null = native SOL. stakeDecimals: precision entry fees are rounded down to
+const ALL_STAKE_CURRENCIES = {
+    GGFUN: { key: 'GGFUN', symbol: TOKEN_SYMBOL, mint: TOKEN_MINT, programId: TOKEN_2022_PROGRAM_ID, decimals: TOKEN_DECIMALS, stakeDecimals: 0 },
+    USDC: { key: 'USDC', symbol: 'USDC', mint: new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'), programId: TOKEN_PROGRAM_ID, decimals: 6, stakeDecimals: 2, fixedPriceUsd: 1 },
+    SOL: { key: 'SOL', symbol: 'SOL', mint: null, programId: SystemProgram.programId, decimals: 9, stakeDecimals: 4, priceMint: 'So11111111111111111111111111111111111111112' }
+};
+const DEFAULT_CURRENCY = 'GGFUN';
+// STAKE_CURRENCIES=GGFUN,SOL limits what rooms can be created with ($GGFUN is always available)
+const STAKE_CURRENCIES = Object.fromEntries(Object.entries(ALL_STAKE_CURRENCIES).filter(([key]) =>
+    key === DEFAULT_CURRENCY || (process.env.STAKE_CURRENCIES || 'GGFUN,USDC,SOL').split(',').map(k => k.trim().toUpperCase()).includes(key)
+));
+
 const COMMISSION_RATE = 0.10;
-const GAME_TIME_MS = 10 * 60 * 1000; // 10 minutes per player
+const REFUND_FEE_RATE = Math.min(Math.max(parseFloat(process.env.REFUND_FEE_RATE) || 0, 0), 1); // Kept from refunds of abandoned rooms
+const GAME_TIME_MS = 10 * 60 * 1000; // 10 minutes per player (default time control)
+
+// Chess time controls: "minutes+increment" (Fischer), optional simple delay per move
+const TIME_CONTROL_PRESETS = ['1+0', '3+2', '5+3', '10+0', '15+10'];
+const DEFAULT_TIME_CONTROL = '10+0';
+const MAX_DELAY_SECONDS = 10;
 
 const connection = new Connection(SOLANA_RPC, 'confirmed');
 let wallet = null;
@@ -272,7 +460,13 @@ if (WALLET_PRIVATE_KEY) {
 }
 
 const rooms = new Map();
-const processedTx = new Set();
+const processedTx = new Set(); // Payment signatures already applied - never credited twice
+
+function markTxProcessed(signature) {
+    if (processedTx.has(signature)) return;
+    processedTx.add(signature);
+    storeProcessedTx([signature]);
+}
 const xVerifications = new Map(); // wallet -> { code, createdAt, xHandle }
 
 // Data structures (will be populated on startup)
@@ -282,6 +476,12 @@ let matchHistory = [];
 let xLinkedAccounts = new Map();
 let followers = new Map();
 let following = new Map();
+let pgnArchive = new Map(); // roomCode -> PGN of finished chess games
+let ledger = []; // Escrow ledger entries, oldest first (the newest LEDGER_MAX_ENTRIES)
+let ledgerCarry = { balances: {}, escrowByRoom: {} }; // Net of the entries rotated out of the ledger
+let walletBalances = new Map(); // wallet -> { balanceRaw, history, lastWithdrawAt } (in-app balances)
+let bannedWallets = new Map(); // wallet -> { reason, bannedAt, until } (no creating/joining rooms or chatting)
+let adminAudit = []; // Admin actions, newest first
 
 // Async startup function
 async function startup() {
@@ -298,13 +498,61 @@ async function startup() {
         xLinkedAccounts = new Map(savedData.xLinkedAccounts ? Object.entries(savedData.xLinkedAccounts) : []);
         followers = new Map(savedData.followers ? Object.entries(savedData.followers).map(([k, v]) => [k, new Set(v)]) : []);
         following = new Map(savedData.following ? Object.entries(savedData.following).map(([k, v]) => [k, new Set(v)]) : []);
+        pgnArchive = new Map(savedData.pgnArchive ? Object.entries(savedData.pgnArchive) : []);
+        ledger = savedData.ledger || [];
+        ledgerCarry = savedData.ledgerCarry || ledgerCarry;
+        ledger.forEach(entry => ledgerEntryIds.add(entry.id));
+        walletBalances = new Map(savedData.walletBalances ? Object.entries(savedData.walletBalances) : []);
+        bannedWallets = new Map(savedData.bannedWallets ? Object.entries(savedData.bannedWallets) : []);
+        adminAudit = savedData.adminAudit || [];
     }
     
     console.log(`📊 Loaded: ${usernames.size} users, ${profiles.size} profiles, ${matchHistory.length} matches`);
+    
+    await restoreRooms();
 }
 
-let cachedTokenPrice = null;
-let priceLastFetch = 0;
+// Restore live rooms saved before a restart
+async function restoreRooms() {
+    (await loadProcessedTx()).forEach(sig => processedTx.add(sig));
+    const saved = await loadRooms();
+    if (!saved) return;
+    
+    const now = Date.now();
+    const downtime = Math.max(0, now - (saved.savedAt || now));
+    const restore = (target, entries) => {
+        for (const [code, room] of Object.entries(entries || {})) {
+            // Clocks don't run while the server is down
+            if (room.status === 'playing' && room.lastMoveTime) room.lastMoveTime += downtime;
+            // Rooms saved before seat tokens - players fetch theirs from /api/seats
+            room.players.forEach(player => { player.seatToken = player.seatToken || createSeatToken(); });
+            target.set(code, room);
+        }
+    };
+    restore(rooms, saved.rooms);
+    restore(tttRooms, saved.tttRooms);
+    restore(battleshipRooms, saved.battleshipRooms);
+    // Rooms saved before processed signatures had a store of their own
+    const legacyTx = (saved.processedTx || []).filter(sig => !processedTx.has(sig));
+    if (legacyTx.length > 0) {
+        legacyTx.forEach(sig => processedTx.add(sig));
+        storeProcessedTx(legacyTx);
+    }
+    Object.entries(saved.payoutJobs || {}).forEach(([id, job]) => payoutJobs.set(id, job));
+    depositCursors = saved.depositCursors || {};
+    
+    for (const room of rooms.values()) scheduleClock('chess', room);
+    
+    // Games that ended right before shutdown but never started their payout
+    for (const room of [...rooms.values(), ...tttRooms.values(), ...battleshipRooms.values()]) {
+        if (room.status !== 'finished' || room.winner === null || room.payoutStartedAt || room.isFreeGame) continue;
+        console.log('Resuming payout for room:', room.code);
+        if (room.winner === 'draw') handleDrawPayout(room);
+        else handlePayout(room);
+    }
+    
+    console.log(`📊 Restored: ${rooms.size} chess, ${tttRooms.size} tic-tac-toe, ${battleshipRooms.size} battleship rooms, ${payoutJobs.size} payout jobs (${Math.round(downtime / 1000)}s downtime)`);
+}
 
 // Pepe avatar options
 const PEPE_AVATARS = [
@@ -314,18 +562,29 @@ const PEPE_AVATARS = [
 // Cleanup finished rooms every 5 minutes
 setInterval(() => {
     const now = Date.now();
-    for (const [code, room] of rooms.entries()) {
-        // Delete finished games after 10 minutes
-        if (room.status === 'finished' && room.finishedAt && now - room.finishedAt > 10 * 60 * 1000) {
-            rooms.delete(code);
-            console.log('Cleaned up room:', code);
-        }
-        // Delete empty waiting rooms after 30 minutes
-        if (room.status === 'waiting_players' && room.createdAt && now - room.createdAt > 30 * 60 * 1000) {
-            rooms.delete(code);
-            console.log('Cleaned up stale room:', code);
+    // Every game's rooms are persisted, so each needs an expiry - or they'd be saved and restored forever
+    for (const gameRooms of [rooms, tttRooms, battleshipRooms]) {
+        for (const [code, room] of gameRooms.entries()) {
+            const stale = PAYABLE_STATUSES.includes(room.status) && now - room.createdAt > ABANDONED_ROOM_MS;
+            // Paid games that never started get refunded first - cleanup removes them once the refunds settle
+            if (stale && !room.isFreeGame && room.players.some(p => p.paid)) {
+                refundRoom(room, 'abandoned');
+                continue;
+            }
+            // Delete finished games after 10 minutes (once their payouts have settled)
+            if (room.status === 'finished' && room.finishedAt && now - room.finishedAt > 10 * 60 * 1000 && !hasUnsettledPayouts(room)) {
+                gameRooms.delete(code);
+                console.log('Cleaned up room:', code);
+            }
+            // Delete waiting rooms nobody paid into after 30 minutes
+            if (stale) {
+                room.status = 'finished'; // A payment still being verified is refunded instead of landing on a deleted room
+                gameRooms.delete(code);
+                console.log('Cleaned up stale room:', code);
+            }
         }
     }
+    saveRooms();
 }, 5 * 60 * 1000);
 
 const INIT_BOARD = [
@@ -346,44 +605,415 @@ function genCode() {
     return s;
 }
 
+// Parse a time control like "3+2" (+ optional simple delay in seconds). Returns { timeControl } or { error }
+function parseTimeControl(value, delaySeconds) {
+    const key = String(value || DEFAULT_TIME_CONTROL).replace(/\s/g, '');
+    if (!TIME_CONTROL_PRESETS.includes(key)) {
+        return { error: `Invalid time control. Choose one of: ${TIME_CONTROL_PRESETS.join(', ')}` };
+    }
+    
+    const delay = delaySeconds === undefined || delaySeconds === null ? 0 : Number(delaySeconds);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_SECONDS) {
+        return { error: `Delay must be a whole number of seconds between 0 and ${MAX_DELAY_SECONDS}` };
+    }
+    
+    const [minutes, increment] = key.split('+').map(Number);
+    // Estimated game duration (initial + 40 moves of increment) decides the category
+    const estimatedSec = minutes * 60 + 40 * increment;
+    const category = estimatedSec < 180 ? 'bullet' : estimatedSec < 480 ? 'blitz' : estimatedSec < 1500 ? 'rapid' : 'classical';
+    
+    return {
+        timeControl: {
+            key,
+            initialMs: minutes * 60 * 1000,
+            incrementMs: increment * 1000,
+            delayMs: delay * 1000,
+            category
+        }
+    };
+}
+
+// Rooms created before multi-currency stakes are $GGFUN
+function getCurrency(roomOrKey) {
+    const key = typeof roomOrKey === 'string' ? roomOrKey : roomOrKey?.currency;
+    return ALL_STAKE_CURRENCIES[key || DEFAULT_CURRENCY];
+}
+
+function toRawAmount(amount, currencyKey) {
+    return BigInt(Math.round(Number(amount) * Math.pow(10, getCurrency(currencyKey).decimals)));
+}
+
+function fromRawAmount(raw, currencyKey) {
+    return Number(raw) / Math.pow(10, getCurrency(currencyKey).decimals);
+}
+
+// Raw amount times rate, rounded down to the currency's stake precision (whole tokens for $GGFUN)
+function applyRate(raw, rate, currencyKey) {
+    const currency = getCurrency(currencyKey);
+    const step = 10n ** BigInt(currency.decimals - currency.stakeDecimals);
+    return BigInt(raw) * BigInt(Math.round(rate * 1e6)) / 1000000n / step * step;
+}
+
+function getStakeRaw(room) {
+    return room.stakeRaw ? BigInt(room.stakeRaw) : toRawAmount(room.tokenAmount, room.currency);
+}
+
+// Price an entry fee in the chosen currency.
+// Returns { currency, tokenPrice, tokenAmount, stakeRaw, quote } or { error } - quote is null for free games
+async function quoteStake(usdAmount, currencyKey) {
+    const currency = STAKE_CURRENCIES[String(currencyKey || DEFAULT_CURRENCY).toUpperCase()];
+    if (!currency) return { error: `Unsupported currency. Choose one of: ${Object.keys(STAKE_CURRENCIES).join(', ')}` };
+    if (usdAmount === 0) return { currency: currency.key, tokenPrice: null, tokenAmount: 0, stakeRaw: '0', quote: null };
+    
+    const tokenPrice = await getTokenPrice(currency.key);
+    if (!tokenPrice) return { error: `${currency.symbol} price feed is stale - paid rooms are unavailable until it recovers` };
+    
+    const precision = Math.pow(10, currency.stakeDecimals);
+    const tokenAmount = Math.floor(usdAmount / tokenPrice * precision) / precision;
+    if (tokenAmount <= 0) return { error: 'Entry fee is too small' };
+    
+    const now = Date.now();
+    return {
+        currency: currency.key,
+        tokenPrice,
+        tokenAmount,
+        stakeRaw: toRawAmount(tokenAmount, currency.key).toString(),
+        quote: { tokenPrice, sources: { ...getPriceStatus(currency.key).sources }, quotedAt: now, expiresAt: now + QUOTE_TTL_MS }
+    };
+}
+
 function getUsername(wallet) {
     return usernames.get(wallet) || wallet?.slice(0, 6) + '...' || 'Anonymous';
 }
 
 // ═══════════════════════════════════════════════════════════════
-// TOKEN PRICE - From DexScreener
+// PRICE SERVICE - Median of several sources, averaged over time
+// Each sample takes the median of all sources. Prices are a time-weighted
+// average of recent samples, sudden jumps are held back until they persist,
+// and a feed without fresh samples is stale - paid rooms can't be priced then
 // ═══════════════════════════════════════════════════════════════
-async function getTokenPrice() {
-    // Cache for 30 seconds
-    if (cachedTokenPrice && Date.now() - priceLastFetch < 30000) {
-        return cachedTokenPrice;
+const PRICE_SAMPLE_MS = 30 * 1000;
+const PRICE_TWAP_WINDOW_MS = parseInt(process.env.PRICE_TWAP_WINDOW_MS) || 10 * 60 * 1000;
+const PRICE_STALE_MS = parseInt(process.env.PRICE_STALE_MS) || 3 * 60 * 1000;
+const PRICE_MAX_MOVE = parseFloat(process.env.PRICE_MAX_MOVE) || 0.25; // Max deviation of a sample from the average
+const PRICE_MAX_REJECTS = 3; // Consecutive outliers after which the move is accepted as real
+const PRICE_FETCH_TIMEOUT_MS = 5000;
+const QUOTE_TTL_MS = parseInt(process.env.QUOTE_TTL_MS) || 10 * 60 * 1000; // How long a room's entry fee quote holds
+const QUOTE_GRACE_MS = 60 * 1000; // Payments already in flight when a quote expires
+
+async function fetchJson(url) {
+    const res = await fetch(url, { signal: AbortSignal.timeout(PRICE_FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+// USD price sources, keyed by name: (mint address) => price or null. PRICE_SOURCES=dexscreener,jupiter picks a subset
+const ALL_PRICE_SOURCES = {
+    dexscreener: async mint => {
+        const data = await fetchJson(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
+        // The pair with the highest liquidity, quoted in the token itself (not e.g. SOL/X pairs)
+        const pairs = (data.pairs || []).filter(pair => pair.baseToken?.address === mint);
+        const bestPair = pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+        return bestPair ? parseFloat(bestPair.priceUsd) : null;
+    },
+    jupiter: async mint => {
+        const data = await fetchJson(`https://api.jup.ag/price/v2?ids=${mint}`);
+        return data.data?.[mint] ? parseFloat(data.data[mint].price) : null;
+    },
+    geckoterminal: async mint => {
+        const data = await fetchJson(`https://api.geckoterminal.com/api/v2/simple/networks/solana/token_price/${mint}`);
+        const price = data.data?.attributes?.token_prices?.[mint];
+        return price ? parseFloat(price) : null;
+    }
+};
+const PRICE_SOURCES = (process.env.PRICE_SOURCES || Object.keys(ALL_PRICE_SOURCES).join(','))
+    .split(',').map(name => name.trim()).filter(name => ALL_PRICE_SOURCES[name]);
+
+const priceFeeds = new Map(); // currency -> { samples: [{ price, at }], spot, sources, lastSampleAt, lastAttemptAt, rejects, sampling }
+
+function getPriceFeed(currencyKey) {
+    if (!priceFeeds.has(currencyKey)) {
+        priceFeeds.set(currencyKey, { samples: [], spot: null, sources: {}, lastSampleAt: 0, lastAttemptAt: 0, rejects: 0, sampling: null });
+    }
+    return priceFeeds.get(currencyKey);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Each sample counts for as long as it was the latest one
+function getTwap(feed, now = Date.now()) {
+    const samples = feed.samples.filter(sample => now - sample.at <= PRICE_TWAP_WINDOW_MS);
+    if (samples.length === 0) return null;
+    
+    let weighted = 0, total = 0;
+    samples.forEach((sample, i) => {
+        const weight = Math.max((samples[i + 1]?.at ?? now) - sample.at, 1);
+        weighted += sample.price * weight;
+        total += weight;
+    });
+    return weighted / total;
+}
+
+async function samplePrice(currency) {
+    const feed = getPriceFeed(currency.key);
+    feed.lastAttemptAt = Date.now();
+    const mint = currency.priceMint || currency.mint.toString();
+    
+    const results = await Promise.allSettled(PRICE_SOURCES.map(name => ALL_PRICE_SOURCES[name](mint)));
+    feed.sources = {};
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled' && result.value > 0 && Number.isFinite(result.value)) {
+            feed.sources[PRICE_SOURCES[i]] = result.value;
+        } else if (result.status === 'rejected') {
+            console.error(`Price source ${PRICE_SOURCES[i]} failed for ${currency.symbol}:`, result.reason?.message);
+        }
+    });
+    const prices = Object.values(feed.sources);
+    if (prices.length === 0) return;
+    
+    const spot = median(prices);
+    const twap = getTwap(feed);
+    feed.spot = spot;
+    if (twap && Math.abs(spot / twap - 1) > PRICE_MAX_MOVE) {
+        feed.rejects++;
+        if (feed.rejects < PRICE_MAX_REJECTS) {
+            console.warn(`${currency.symbol} price sample $${spot} is ${Math.round((spot / twap - 1) * 100)}% off the average $${twap} - held back`);
+            return;
+        }
+        // The move held for several samples - start averaging from the new level
+        console.warn(`${currency.symbol} price moved to $${spot} (average was $${twap}) - accepting`);
+        feed.samples = [];
     }
     
-    try {
-        // Try DexScreener first
-        const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${TOKEN_MINT.toString()}`);
-        const data = await res.json();
-        
-        if (data.pairs && data.pairs.length > 0) {
-            // Get the pair with highest liquidity
-            const bestPair = data.pairs.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
-            cachedTokenPrice = parseFloat(bestPair.priceUsd) || 0.0001;
-            priceLastFetch = Date.now();
-            console.log(`Token price: $${cachedTokenPrice}`);
-            return cachedTokenPrice;
+    feed.rejects = 0;
+    feed.samples.push({ price: spot, at: Date.now() });
+    feed.samples = feed.samples.filter(sample => Date.now() - sample.at <= PRICE_TWAP_WINDOW_MS);
+    feed.lastSampleAt = Date.now();
+}
+
+// One sample at a time per currency
+function refreshPrice(currency) {
+    const feed = getPriceFeed(currency.key);
+    if (!feed.sampling) {
+        feed.sampling = samplePrice(currency)
+            .catch(e => console.error(`Price sample error (${currency.symbol}):`, e.message))
+            .finally(() => { feed.sampling = null; });
+    }
+    return feed.sampling;
+}
+
+// USD price of a stake currency, or null while its feed is stale
+async function getTokenPrice(currencyKey = DEFAULT_CURRENCY) {
+    const currency = getCurrency(currencyKey);
+    if (currency.fixedPriceUsd) return currency.fixedPriceUsd;
+    
+    const feed = getPriceFeed(currency.key);
+    // Nothing recent (e.g. right after startup) - sample now instead of waiting for the next tick
+    if (Date.now() - feed.lastSampleAt > PRICE_SAMPLE_MS && Date.now() - feed.lastAttemptAt > PRICE_SAMPLE_MS / 2) {
+        await refreshPrice(currency);
+    }
+    return getPriceStatus(currency.key).price;
+}
+
+function getPriceStatus(currencyKey) {
+    const currency = getCurrency(currencyKey);
+    if (currency.fixedPriceUsd) return { price: currency.fixedPriceUsd, spot: currency.fixedPriceUsd, stale: false, updatedAt: null, sources: {} };
+    
+    const feed = getPriceFeed(currency.key);
+    const stale = Date.now() - feed.lastSampleAt > PRICE_STALE_MS;
+    return {
+        price: stale ? null : getTwap(feed),
+        spot: feed.spot,
+        stale,
+        updatedAt: feed.lastSampleAt || null,
+        sources: feed.sources
+    };
+}
+
+// Rooms nobody has paid for yet get a fresh quote once theirs has expired
+async function refreshExpiredQuotes() {
+    for (const [gameType, game] of Object.entries(PAYMENT_GAMES)) {
+        for (const room of game.getRooms().values()) {
+            if (!room.quote || room.isFreeGame || !PAYABLE_STATUSES.includes(room.status)) continue;
+            if (room.players.some(p => p.paid) || Date.now() < room.quote.expiresAt + QUOTE_GRACE_MS) continue;
+            
+            const quote = await quoteStake(room.entryFeeUsd, room.currency);
+            if (quote.error) continue; // Stays unpayable until the feed recovers
+            room.tokenAmount = quote.tokenAmount;
+            room.stakeRaw = quote.stakeRaw;
+            room.quote = quote.quote;
+            saveRooms();
+            console.log(`Quote refreshed: ${gameType} ${room.code} - ${quote.tokenAmount} ${getCurrency(room).symbol}`);
         }
-    } catch (e) {
-        console.error('Price fetch error:', e.message);
     }
+}
+
+setInterval(async () => {
+    for (const currency of Object.values(STAKE_CURRENCIES)) {
+        if (!currency.fixedPriceUsd) await refreshPrice(currency);
+    }
+    await refreshExpiredQuotes();
+}, PRICE_SAMPLE_MS);
+
+// Payments can't be taken at an expired price until the room is re-quoted (once a seat is paid the quote is locked)
+function getQuoteError(room, graceMs = 0) {
+    if (!room.quote || room.players.some(p => p.paid)) return null;
+    if (Date.now() <= room.quote.expiresAt + graceMs) return null;
+    return 'Entry fee quote expired - a new quote will be issued shortly';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// WALLET SESSIONS - Sign-In With Solana
+// GET /api/auth/nonce -> sign the returned message with the wallet ->
+// POST /api/auth/login -> send "Authorization: Bearer <token>" afterwards
+// ═══════════════════════════════════════════════════════════════
+const AUTH_DOMAIN = process.env.AUTH_DOMAIN || 'ggfun.lol';
+const AUTH_NONCE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 2 * 60 * 60 * 1000;
+const authNonces = new Map(); // nonce -> { wallet, message, expiresAt }
+const sessions = new Map(); // token -> { wallet, createdAt, expiresAt }
+
+// Sign-In With Solana message (same layout as EIP-4361)
+function getSignInMessage(wallet, nonce, issuedAt, expiresAt) {
+    return `${AUTH_DOMAIN} wants you to sign in with your Solana account:
+${wallet}
+
+Sign in to GG Fun Arena
+
+URI: https://${AUTH_DOMAIN}
+Version: 1
+Chain ID: mainnet
+Nonce: ${nonce}
+Issued At: ${new Date(issuedAt).toISOString()}
+Expiration Time: ${new Date(expiresAt).toISOString()}`;
+}
+
+function getSession(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return null;
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (Date.now() > session.expiresAt) {
+        sessions.delete(token);
+        return null;
+    }
+    return { ...session, token };
+}
+
+// Binds a route to the signed-in wallet: req.body[field] must be that wallet (it is filled in when omitted).
+// With optional, requests with neither the field nor a session (guests) pass through unauthenticated
+function requireWallet(field = 'wallet', { optional = false } = {}) {
+    return (req, res, next) => {
+        const claimed = req.body?.[field];
+        const session = getSession(req);
+        if (optional && !claimed && !session) return next();
+        if (!session) return res.status(401).json({ error: 'Sign in with your wallet first' });
+        if (claimed && claimed !== session.wallet) return res.status(403).json({ error: 'Wallet does not match your session' });
+        
+        req.body = req.body || {};
+        req.body[field] = session.wallet;
+        req.wallet = session.wallet;
+        next();
+    };
+}
+
+app.get('/api/auth/nonce', (req, res) => {
+    const { wallet } = req.query;
+    if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
     
-    // Fallback price
-    return cachedTokenPrice || 0.0001;
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + AUTH_NONCE_TTL_MS;
+    const message = getSignInMessage(wallet, nonce, issuedAt, expiresAt);
+    authNonces.set(nonce, { wallet, message, expiresAt });
+    res.json({ success: true, nonce, message, expiresAt });
+});
+
+// Body: { wallet, nonce, signature } - signature is the base58 ed25519 signature of the nonce's message
+app.post('/api/auth/login', (req, res) => {
+    const { wallet, nonce, signature } = req.body;
+    const pending = authNonces.get(nonce);
+    if (!pending || pending.wallet !== wallet) return res.status(400).json({ error: 'Unknown nonce - request a new one' });
+    authNonces.delete(nonce); // Single use, even when the signature is wrong
+    if (Date.now() > pending.expiresAt) return res.status(400).json({ error: 'Nonce expired - request a new one' });
+    if (!verifyWalletSignature(wallet, pending.message, signature)) return res.status(401).json({ error: 'Invalid signature' });
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = { wallet, createdAt: Date.now(), expiresAt: Date.now() + SESSION_TTL_MS };
+    sessions.set(token, session);
+    console.log('Signed in:', wallet.slice(0, 8));
+    res.json({ success: true, token, wallet, expiresAt: session.expiresAt });
+});
+
+app.get('/api/auth/session', (req, res) => {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: 'Not signed in' });
+    res.json({ success: true, wallet: session.wallet, expiresAt: session.expiresAt });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    const session = getSession(req);
+    if (session) sessions.delete(session.token);
+    res.json({ success: true });
+});
+
+// Drop expired nonces and sessions every 5 minutes
+setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, pending] of authNonces.entries()) {
+        if (now > pending.expiresAt) authNonces.delete(nonce);
+    }
+    for (const [token, session] of sessions.entries()) {
+        if (now > session.expiresAt) sessions.delete(token);
+    }
+}, 300000);
+
+// ═══════════════════════════════════════════════════════════════
+// SEAT TOKENS - Secret per seat, handed out when creating or joining a room
+// Seat-scoped actions send it as the X-Seat-Token header (or seatToken in body/query)
+// ═══════════════════════════════════════════════════════════════
+function createSeatToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Returns { player } when the request holds the token of seat playerId, or { status, error }
+function authorizeSeat(room, playerId, req) {
+    const player = room.players?.find(p => p.id === parseInt(playerId));
+    if (!player) return { status: 400, error: 'Invalid player' };
+    
+    const given = Buffer.from(String(req.get('x-seat-token') || req.body?.seatToken || req.query.seatToken || ''));
+    const expected = Buffer.from(player.seatToken || '');
+    if (expected.length === 0 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { status: 403, error: 'Invalid seat token' };
+    }
+    return { player };
 }
 
+// Raw rooms (Tic-Tac-Toe responses) without the seat tokens
+function withoutSeatTokens(room) {
+    return { ...room, players: room.players.map(({ seatToken, ...player }) => player) };
+}
+
+// Lost seat token (new device, cleared storage) - the signed-in wallet gets its seat back
+app.get('/api/seats/:gameType/:code', requireWallet(), (req, res) => {
+    const game = PAYMENT_GAMES[req.params.gameType];
+    if (!game) return res.status(404).json({ error: 'Unknown game type' });
+    const room = game.getRooms().get(req.params.code?.toUpperCase());
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    
+    const player = room.players.find(p => p.wallet === req.wallet);
+    if (!player) return res.status(404).json({ error: 'You have no seat in this room' });
+    res.json({ success: true, myPlayerId: player.id, seatToken: player.seatToken });
+});
+
 // ═══════════════════════════════════════════════════════════════
 // USERNAME MANAGEMENT
 // ═══════════════════════════════════════════════════════════════
-app.post('/api/username', (req, res) => {
+app.post('/api/username', requireWallet(), (req, res) => {
     const { wallet, username } = req.body;
     if (!wallet || !username) return res.status(400).json({ error: 'Missing data' });
     if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
@@ -439,22 +1069,61 @@ function isFollowing(followerWallet, targetWallet) {
     return following.get(followerWallet)?.has(targetWallet) || false;
 }
 
+// Elo per game type, used by matchmaking. Decisive games score 1 / 0, draws 0.5 each
+const DEFAULT_RATING = 1200;
+const RATING_K_FACTOR = 32;
+
+function getRating(wallet, gameType) {
+    return profiles.get(wallet)?.ratings?.[gameType] ?? DEFAULT_RATING;
+}
+
+// score is the first profile's result (1 win, 0.5 draw). Returns the first profile's rating change
+function updateRatings(gameType, firstProfile, secondProfile, score = 1) {
+    const firstRating = getRating(firstProfile.wallet, gameType);
+    const secondRating = getRating(secondProfile.wallet, gameType);
+    const expected = 1 / (1 + Math.pow(10, (secondRating - firstRating) / 400));
+    const change = Math.round(RATING_K_FACTOR * (score - expected));
+    
+    firstProfile.ratings = { ...firstProfile.ratings, [gameType]: firstRating + change };
+    secondProfile.ratings = { ...secondProfile.ratings, [gameType]: secondRating - change };
+    return change;
+}
+
+// Draws aren't match history entries, but they still move both ratings toward each other
+function recordDraw(room) {
+    const [first, second] = room.players;
+    if (!first?.wallet || !second?.wallet) return null;
+    
+    const change = updateRatings(room.gameType || 'chess', getOrCreateProfile(first.wallet), getOrCreateProfile(second.wallet), 0.5);
+    console.log(`Draw recorded: ${getUsername(first.wallet)} vs ${getUsername(second.wallet)} (${change >= 0 ? '+' : ''}${change})`);
+    saveData(); // Persist
+    return change;
+}
+
 function recordMatch(room, winnerWallet, loserWallet) {
+    const gameType = room.gameType || 'chess';
     const match = {
         id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
         roomCode: room.code,
+        gameType,
         winner: { wallet: winnerWallet, name: getUsername(winnerWallet) },
         loser: { wallet: loserWallet, name: getUsername(loserWallet) },
         entryFee: room.entryFeeUsd,
+        currency: getCurrency(room).key,
         tokenAmount: room.tokenAmount,
-        prize: Math.floor(room.tokenAmount * 2 * (1 - COMMISSION_RATE)),
+        prize: fromRawAmount(applyRate(getStakeRaw(room) * 2n, 1 - COMMISSION_RATE, room.currency), room.currency),
+        // Only chess games are archived - room codes are shared across game types
+        pgnUrl: gameType === 'chess' && pgnArchive.has(room.code) ? `/api/rooms/${room.code}/pgn` : null,
         timestamp: Date.now()
     };
     
     // Update winner profile
+    // totalEarnings / totalLost stay in $GGFUN, other currencies are tracked per currency
     const winnerProfile = getOrCreateProfile(winnerWallet);
     winnerProfile.wins++;
-    winnerProfile.totalEarnings += match.prize;
+    if (match.currency === DEFAULT_CURRENCY) winnerProfile.totalEarnings += match.prize;
+    winnerProfile.earningsByCurrency = winnerProfile.earningsByCurrency || {};
+    winnerProfile.earningsByCurrency[match.currency] = (winnerProfile.earningsByCurrency[match.currency] || 0) + match.prize;
     winnerProfile.username = getUsername(winnerWallet);
     winnerProfile.matches.unshift(match.id);
     if (winnerProfile.matches.length > 50) winnerProfile.matches.pop();
@@ -462,11 +1131,15 @@ function recordMatch(room, winnerWallet, loserWallet) {
     // Update loser profile
     const loserProfile = getOrCreateProfile(loserWallet);
     loserProfile.losses++;
-    loserProfile.totalLost += room.tokenAmount;
+    if (match.currency === DEFAULT_CURRENCY) loserProfile.totalLost += room.tokenAmount;
+    loserProfile.lostByCurrency = loserProfile.lostByCurrency || {};
+    loserProfile.lostByCurrency[match.currency] = (loserProfile.lostByCurrency[match.currency] || 0) + room.tokenAmount;
     loserProfile.username = getUsername(loserWallet);
     loserProfile.matches.unshift(match.id);
     if (loserProfile.matches.length > 50) loserProfile.matches.pop();
     
+    match.ratingChange = updateRatings(match.gameType, winnerProfile, loserProfile);
+    
     // Add to global history
     matchHistory.unshift(match);
     if (matchHistory.length > 200) matchHistory.pop();
@@ -521,7 +1194,7 @@ app.get('/api/profile/:wallet', (req, res) => {
 });
 
 // Update avatar
-app.post('/api/profile/avatar', (req, res) => {
+app.post('/api/profile/avatar', requireWallet(), (req, res) => {
     const { wallet, avatar } = req.body;
     if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
     
@@ -543,7 +1216,7 @@ app.get('/api/avatars', (req, res) => {
 });
 
 // Follow a user
-app.post('/api/follow', (req, res) => {
+app.post('/api/follow', requireWallet(), (req, res) => {
     const { wallet, targetWallet } = req.body;
     if (!isValidWallet(wallet) || !isValidWallet(targetWallet)) {
         return res.status(400).json({ error: 'Invalid wallet' });
@@ -570,7 +1243,7 @@ app.post('/api/follow', (req, res) => {
 });
 
 // Unfollow a user
-app.post('/api/unfollow', (req, res) => {
+app.post('/api/unfollow', requireWallet(), (req, res) => {
     const { wallet, targetWallet } = req.body;
     if (!isValidWallet(wallet) || !isValidWallet(targetWallet)) {
         return res.status(400).json({ error: 'Invalid wallet' });
@@ -650,7 +1323,7 @@ app.get('/api/matches', (req, res) => {
 // ═══════════════════════════════════════════════════════════════
 
 // Generate verification code for X linking
-app.post('/api/x/generate-code', (req, res) => {
+app.post('/api/x/generate-code', requireWallet(), (req, res) => {
     const { wallet } = req.body;
     if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
     
@@ -683,7 +1356,7 @@ app.post('/api/x/generate-code', (req, res) => {
 });
 
 // Verify X account by checking tweet URL
-app.post('/api/x/verify', async (req, res) => {
+app.post('/api/x/verify', requireWallet(), async (req, res) => {
     const { wallet, tweetUrl, xHandle } = req.body;
     if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
     
@@ -790,7 +1463,7 @@ app.post('/api/x/verify', async (req, res) => {
 });
 
 // Unlink X account
-app.post('/api/x/unlink', (req, res) => {
+app.post('/api/x/unlink', requireWallet(), (req, res) => {
     const { wallet } = req.body;
     if (!isValidWallet(wallet)) return res.status(400).json({ error: 'Invalid wallet' });
     
@@ -859,7 +1532,8 @@ app.get('/api/my-game/:wallet', (req, res) => {
         
         const player = room.players.find(p => p.wallet === wallet);
         if (player) {
-            // Allow rejoin for any active room the player is in
+            // Allow rejoin for any active room the player is in (the seat token only goes to the signed-in owner)
+            const isOwner = getSession(req)?.wallet === wallet;
             return res.json({
                 success: true,
                 hasActiveGame: true,
@@ -868,7 +1542,9 @@ app.get('/api/my-game/:wallet', (req, res) => {
                     status: room.status,
                     myColor: player.color,
                     myPlayerId: player.id,
+                    seatToken: isOwner ? player.seatToken : undefined,
                     entryFeeUsd: room.entryFeeUsd,
+                    currency: getCurrency(room).key,
                     tokenAmount: room.tokenAmount,
                     createdAt: room.createdAt,
                     hasPaid: player.paid,
@@ -892,8 +1568,20 @@ app.get('/api/config', async (req, res) => {
         tokenSymbol: TOKEN_SYMBOL,
         tokenDecimals: TOKEN_DECIMALS,
         tokenPriceUsd: price,
+        quoteTtlMs: QUOTE_TTL_MS,
+        currencies: Object.values(STAKE_CURRENCIES).map(currency => ({
+            key: currency.key,
+            symbol: currency.symbol,
+            mint: currency.mint ? currency.mint.toString() : null, // null = native SOL
+            decimals: currency.decimals,
+            tokenProgram: currency.mint ? currency.programId.toString() : null
+        })),
+        defaultCurrency: DEFAULT_CURRENCY,
         commissionRate: COMMISSION_RATE, 
-        gameTimeMs: GAME_TIME_MS 
+        gameTimeMs: GAME_TIME_MS,
+        timeControls: TIME_CONTROL_PRESETS.map(key => parseTimeControl(key).timeControl),
+        defaultTimeControl: DEFAULT_TIME_CONTROL,
+        maxDelaySeconds: MAX_DELAY_SECONDS
     });
 });
 
@@ -902,16 +1590,19 @@ app.get('/api/health', (req, res) => {
 });
 
 app.get('/api/stats', (req, res) => {
+    res.json({ success: true, ...getStats() });
+});
+
+function getStats() {
     const activeRooms = Array.from(rooms.values()).filter(r => r.status !== 'finished');
     const playingRooms = activeRooms.filter(r => r.status === 'playing');
-    res.json({ 
-        success: true,
+    return {
         totalUsers: profiles.size,
         totalMatches: matchHistory.length,
         activeRooms: activeRooms.length,
         liveGames: playingRooms.length
-    });
-});
+    };
+}
 
 app.get('/api/blockhash', async (req, res) => {
     try {
@@ -963,51 +1654,83 @@ app.get('/api/check-ata', async (req, res) => {
     }
 });
 
-// Get current token price
+// Get current token price (?currency=SOL|USDC|GGFUN) - price is the time-weighted average, null while stale
 app.get('/api/price', async (req, res) => {
-    const price = await getTokenPrice();
-    res.json({ success: true, price, symbol: TOKEN_SYMBOL });
+    const currency = STAKE_CURRENCIES[String(req.query.currency || DEFAULT_CURRENCY).toUpperCase()];
+    if (!currency) return res.status(400).json({ error: 'Unsupported currency' });
+    await getTokenPrice(currency.key);
+    const { price, spot, stale, updatedAt, sources } = getPriceStatus(currency.key);
+    res.json({ success: true, price, spot, stale, updatedAt, sources, symbol: currency.symbol, currency: currency.key });
 });
 
 // ═══════════════════════════════════════════════════════════════
 // ROOM MANAGEMENT
 // ═══════════════════════════════════════════════════════════════
-app.post('/api/rooms', async (req, res) => {
-    const { entryFeeUsd, creatorWallet } = req.body;
-    const code = genCode();
+// Create a chess room seated with its creator (white) - shared by POST /api/rooms and matchmaking.
+// Returns { room } or { status, error }
+async function createChessRoom({ entryFeeUsd, creatorWallet, timeControl: timeControlInput, delaySeconds, currency }, { isPrivate = false } = {}) {
+    const { timeControl, error } = parseTimeControl(timeControlInput, delaySeconds);
+    if (error) return { status: 400, error };
     
-    // Get current token price
-    const tokenPrice = await getTokenPrice();
     const usdAmount = parseFloat(entryFeeUsd) || 0; // Default to free
     const isFreeGame = usdAmount === 0;
     
-    // Calculate token amount (how many tokens = $X USD)
-    const tokenAmount = isFreeGame ? 0 : Math.floor(usdAmount / tokenPrice);
+    // Calculate token amount (how many tokens = $X USD) in the chosen currency
+    const quote = await quoteStake(usdAmount, currency);
+    if (quote.error) return { status: 400, error: quote.error };
+    const { tokenAmount, tokenPrice } = quote;
+    const symbol = getCurrency(quote.currency).symbol;
     
+    const code = genCode();
     const room = {
         code, 
         createdAt: Date.now(),
         entryFeeUsd: usdAmount,           // USD value for display
-        tokenAmount: tokenAmount,          // Actual token amount both players pay
+        currency: quote.currency,          // GGFUN | USDC | SOL
+        tokenAmount: tokenAmount,          // Actual token amount both players pay (in currency units)
+        stakeRaw: quote.stakeRaw,          // Same in the currency's smallest unit
         tokenPriceAtCreation: tokenPrice,  // Price when room was created
+        quote: quote.quote,                // { tokenPrice, sources, quotedAt, expiresAt } - re-quoted if it expires unpaid
         isFreeGame: isFreeGame,            // Free game flag
+        isPrivate: isPrivate,              // Seated by matchmaking or a challenge - hidden from the lobby, no joining
         status: 'waiting_players',
         confirmedPayments: isFreeGame ? 2 : 0, // Free games don't need payment
         board: INIT_BOARD.map(r => [...r]),
         currentTurn: 'white',
+        castling: { K: true, Q: true, k: true, q: true }, // Castling rights (FEN style)
+        enPassant: null,                   // Square a pawn can capture onto en passant
+        halfmoveClock: 0,                  // Moves since last capture or pawn move (fifty-move rule)
+        positionHistory: [],               // Position keys for threefold repetition
+        result: null,                      // '1-0', '0-1' or '1/2-1/2'
+        termination: null,                 // checkmate, stalemate, timeout, resignation, agreement...
+        moves: [],                         // Full move list: SAN, timestamp, mover's clock
         lastMove: null,
         winner: null,
-        whiteTimeMs: GAME_TIME_MS,
-        blackTimeMs: GAME_TIME_MS,
+        timeControl: timeControl,          // { key, initialMs, incrementMs, delayMs, category }
+        whiteTimeMs: timeControl.initialMs,
+        blackTimeMs: timeControl.initialMs,
+        delayRemainingMs: timeControl.delayMs, // Simple delay left before the mover's clock runs
         lastMoveTime: null,
         finishedAt: null,
-        players: [{ id: 0, wallet: creatorWallet, name: getUsername(creatorWallet), color: 'white', paid: isFreeGame }],
+        players: [{ id: 0, wallet: creatorWallet, name: getUsername(creatorWallet), color: 'white', paid: isFreeGame, seatToken: createSeatToken() }],
         spectators: [],
         emojis: [],
         chat: []
     };
+    room.positionHistory.push(getPositionKey(room));
     rooms.set(code, room);
-    console.log(`Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + TOKEN_SYMBOL} (~$${usdAmount})`);
+    publishRoomEvent(room, 'room_created');
+    saveRooms();
+    console.log(`Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + symbol} (~$${usdAmount}) - ${timeControl.key}`);
+    return { room };
+}
+
+app.post('/api/rooms', requireWallet('creatorWallet'), rejectBanned('creatorWallet'), async (req, res) => {
+    const { room, status, error } = await createChessRoom(req.body);
+    if (error) return res.status(status).json({ error });
+    const { code, isFreeGame, tokenAmount, timeControl, entryFeeUsd: usdAmount } = room;
+    const { creatorWallet } = req.body;
+    const symbol = getCurrency(room).symbol;
     
     // Send Telegram notification
     const creatorName = getUsername(creatorWallet) || 'Anonymous';
@@ -1016,13 +1739,15 @@ app.post('/api/rooms', async (req, res) => {
         ? `🎮 <b>New Free Chess Room!</b>
 
 🆓 Entry: <b>FREE</b>
+⏱ Time: <b>${timeControl.key}</b> (${timeControl.category})
 👤 Creator: ${creatorName}
 🎯 Room: <code>${code}</code>
 
 🔗 ${roomLink}`
         : `🎮 <b>New Chess Room!</b>
 
-💰 Entry: <b>${tokenAmount.toLocaleString()} $GGFUN</b> (~$${usdAmount})
+💰 Entry: <b>${tokenAmount.toLocaleString()} ${symbol}</b> (~$${usdAmount})
+⏱ Time: <b>${timeControl.key}</b> (${timeControl.category})
 👤 Creator: ${creatorName}
 🎯 Room: <code>${code}</code>
 
@@ -1030,53 +1755,67 @@ app.post('/api/rooms', async (req, res) => {
     
     sendTelegramNotification(telegramMsg);
     
-    res.json({ success: true, room: sanitizeRoom(room), myPlayerId: 0, myColor: 'white' });
+    res.json({ success: true, room: sanitizeRoom(room), myPlayerId: 0, myColor: 'white', seatToken: room.players[0].seatToken });
 });
 
-app.post('/api/rooms/:code/join', (req, res) => {
+// Seat a second player (black) in a chess room - shared by the join route and matchmaking.
+// Returns { player, replaced } or { status, error }
+function joinChessRoom(room, playerWallet) {
+    if (room.status === 'finished') return { status: 400, error: 'Game already finished' };
+    if (room.status === 'playing') return { status: 400, error: 'Game already started' };
+    if (!isValidWallet(playerWallet)) return { status: 400, error: 'Invalid wallet' };
+    
+    // Prevent same player joining twice
+    if (room.players.some(p => p.wallet === playerWallet)) {
+        return { status: 400, error: 'You are already in this room' };
+    }
+    
+    // If room has 2 players but player 2 hasn't paid, replace them
+    if (room.players.length >= 2) {
+        const player2 = room.players[1];
+        if (player2 && !player2.paid) {
+            // Replace unpaid player 2 with new player
+            console.log(`Replacing unpaid player ${player2.name} with new player in room ${room.code}`);
+            room.players[1] = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), color: 'black', paid: false, seatToken: createSeatToken() };
+            publishRoomEvent(room, 'player_joined', { playerId: 1, name: room.players[1].name, replaced: true });
+            saveRooms();
+            return { player: room.players[1], replaced: true };
+        }
+        return { status: 400, error: 'Room is full' };
+    }
+    
+    const newPlayer = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), color: 'black', paid: room.isFreeGame, seatToken: createSeatToken() };
+    room.players.push(newPlayer);
+    
+    // Free games start immediately when player 2 joins
+    if (room.isFreeGame) {
+        room.status = 'playing';
+        room.lastMoveTime = Date.now();
+        scheduleClock('chess', room);
+        console.log('Free game started:', room.code);
+    } else {
+        room.status = 'waiting_payments';
+    }
+    
+    console.log('Player joined:', room.code, 'as', newPlayer.color);
+    publishRoomEvent(room, 'player_joined', { playerId: newPlayer.id, name: newPlayer.name });
+    if (room.status === 'playing') publishRoomEvent(room, 'game_started', { currentTurn: room.currentTurn });
+    saveRooms();
+    return { player: newPlayer };
+}
+
+app.post('/api/rooms/:code/join', requireWallet('playerWallet'), rejectBanned('playerWallet'), (req, res) => {
     try {
         const code = req.params.code?.toUpperCase();
         if (!code) return res.status(400).json({ error: 'Invalid room code' });
         
         const room = rooms.get(code);
         if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status === 'finished') return res.status(400).json({ error: 'Game already finished' });
-        if (room.status === 'playing') return res.status(400).json({ error: 'Game already started' });
-        const { playerWallet } = req.body;
-        if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet' });
+        if (room.isPrivate) return res.status(403).json({ error: 'This room is private' });
         
-        // Prevent same player joining twice
-        if (room.players.some(p => p.wallet === playerWallet)) {
-            return res.status(400).json({ error: 'You are already in this room' });
-        }
-        
-        // If room has 2 players but player 2 hasn't paid, replace them
-        if (room.players.length >= 2) {
-            const player2 = room.players[1];
-            if (player2 && !player2.paid) {
-                // Replace unpaid player 2 with new player
-                console.log(`Replacing unpaid player ${player2.name} with new player in room ${code}`);
-                room.players[1] = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), color: 'black', paid: false };
-                res.json({ success: true, room: sanitizeRoom(room), myPlayerId: 1, myColor: 'black', replaced: true });
-                return;
-            }
-            return res.status(400).json({ error: 'Room is full' });
-        }
-        
-        const newPlayer = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), color: 'black', paid: room.isFreeGame };
-        room.players.push(newPlayer);
-        
-        // Free games start immediately when player 2 joins
-        if (room.isFreeGame) {
-            room.status = 'playing';
-            room.lastMoveTime = Date.now();
-            console.log('Free game started:', room.code);
-        } else {
-            room.status = 'waiting_payments';
-        }
-        
-        console.log('Player joined:', room.code, 'as', newPlayer.color);
-        res.json({ success: true, room: sanitizeRoom(room), myPlayerId: newPlayer.id, myColor: newPlayer.color });
+        const { player, replaced, status, error } = joinChessRoom(room, req.body.playerWallet);
+        if (error) return res.status(status).json({ error });
+        res.json({ success: true, room: sanitizeRoom(room), myPlayerId: player.id, myColor: player.color, seatToken: player.seatToken, ...(replaced && { replaced }) });
     } catch (e) {
         console.error('Join room error:', e.message);
         res.status(500).json({ error: 'Failed to join room' });
@@ -1084,7 +1823,7 @@ app.post('/api/rooms/:code/join', (req, res) => {
 });
 
 // Leave room (only if not paid yet)
-app.post('/api/rooms/:code/leave', (req, res) => {
+app.post('/api/rooms/:code/leave', requireWallet('playerWallet'), (req, res) => {
     try {
         const code = req.params.code?.toUpperCase();
         const room = rooms.get(code);
@@ -1100,7 +1839,7 @@ app.post('/api/rooms/:code/leave', (req, res) => {
         
         // Cannot leave if already paid
         if (player.paid) {
-            return res.status(400).json({ error: 'Cannot leave after paying. Game must finish.' });
+            return res.status(400).json({ error: 'Cannot leave after paying. Cancel the room to get a refund.' });
         }
         
         // Cannot leave if game started
@@ -1113,6 +1852,7 @@ app.post('/api/rooms/:code/leave', (req, res) => {
             // Creator leaving - delete room entirely if no one paid
             if (!room.players.some(p => p.paid)) {
                 rooms.delete(code);
+                saveRooms();
                 console.log(`Room ${code} deleted - creator left without paying`);
                 return res.json({ success: true, roomDeleted: true });
             }
@@ -1121,6 +1861,8 @@ app.post('/api/rooms/:code/leave', (req, res) => {
             room.players.splice(playerIndex, 1);
             room.status = 'waiting_players';
             console.log(`Player left room ${code}: ${player.name}`);
+            publishRoomEvent(room, 'player_left', { playerId: player.id, name: player.name });
+            saveRooms();
         }
         
         res.json({ success: true });
@@ -1130,7 +1872,7 @@ app.post('/api/rooms/:code/leave', (req, res) => {
     }
 });
 
-app.post('/api/rooms/:code/spectate', (req, res) => {
+app.post('/api/rooms/:code/spectate', requireWallet('wallet', { optional: true }), (req, res) => {
     const room = rooms.get(req.params.code.toUpperCase());
     if (!room) return res.status(404).json({ error: 'Not found' });
     
@@ -1146,6 +1888,8 @@ app.post('/api/rooms/:code/spectate', (req, res) => {
     
     if (!room.spectators.find(s => s.wallet === wallet)) {
         room.spectators.push(spectator);
+        publishRoomEvent(room, 'spectator', { name: spectator.name, avatar: spectator.avatar, spectatorCount: room.spectators.length });
+        saveRooms();
         console.log('Spectator joined:', room.code, spectator.name);
     }
     
@@ -1171,7 +1915,7 @@ app.get('/api/rooms/:code/spectators', (req, res) => {
     res.json({ success: true, spectators });
 });
 
-app.post('/api/rooms/:code/emoji', (req, res) => {
+app.post('/api/rooms/:code/emoji', requireWallet('wallet', { optional: true }), rejectBanned(), (req, res) => {
     const room = rooms.get(req.params.code.toUpperCase());
     if (!room) return res.status(404).json({ error: 'Not found' });
     
@@ -1181,12 +1925,14 @@ app.post('/api/rooms/:code/emoji', (req, res) => {
     
     room.emojis.push({ emoji, name: getUsername(wallet), time: Date.now() });
     if (room.emojis.length > 20) room.emojis = room.emojis.slice(-20);
+    publishRoomEvent(room, 'emoji', room.emojis[room.emojis.length - 1]);
+    saveRooms();
     
     res.json({ success: true });
 });
 
 // In-game chat
-app.post('/api/rooms/:code/chat', (req, res) => {
+app.post('/api/rooms/:code/chat', requireWallet('wallet', { optional: true }), rejectBanned(), (req, res) => {
     const room = rooms.get(req.params.code.toUpperCase());
     if (!room) return res.status(404).json({ error: 'Not found' });
     
@@ -1229,6 +1975,8 @@ app.post('/api/rooms/:code/chat', (req, res) => {
     room.chat.push(chatMsg);
     // Keep last 100 messages
     if (room.chat.length > 100) room.chat = room.chat.slice(-100);
+    publishRoomEvent(room, 'chat', { message: chatMsg });
+    saveRooms();
     
     res.json({ success: true, message: chatMsg });
 });
@@ -1253,7 +2001,7 @@ const GLOBAL_CHAT_RATE_LIMIT = 2000; // 2 seconds between messages
 const globalChatLastMsg = new Map(); // wallet -> timestamp
 
 // Send global chat message
-app.post('/api/chat', (req, res) => {
+app.post('/api/chat', requireWallet(), rejectBanned(), (req, res) => {
     const { wallet, message } = req.body;
     
     if (!wallet || !message) {
@@ -1295,6 +2043,7 @@ app.post('/api/chat', (req, res) => {
     if (globalChat.length > GLOBAL_CHAT_MAX) {
         globalChat = globalChat.slice(-GLOBAL_CHAT_MAX);
     }
+    publishLobbyEvent('chat', { message: chatMsg });
     
     res.json({ success: true, message: chatMsg });
 });
@@ -1306,25 +2055,33 @@ app.get('/api/chat', (req, res) => {
     res.json({ success: true, messages });
 });
 
-// List all active rooms
+// List all active rooms (optional filters: ?category=bullet|blitz|rapid|classical, ?timeControl=3+2, ?currency=SOL)
 app.get('/api/rooms', (req, res) => {
+    const { category, timeControl, currency } = req.query;
     const activeRooms = [];
     rooms.forEach((room, code) => {
+        if (room.isPrivate) return;
         // Only show rooms where the creator (player 0) has paid
         const creatorPaid = room.players[0]?.paid === true;
         if (!creatorPaid && room.status !== 'playing') {
             return; // Don't show unpaid rooms in lobby
         }
+        if (category && room.timeControl?.category !== category) return;
+        // "+" in a query string decodes to a space
+        if (timeControl && room.timeControl?.key !== timeControl.replace(' ', '+')) return;
+        if (currency && getCurrency(room).key !== String(currency).toUpperCase()) return;
         
         activeRooms.push({
             code: room.code,
             status: room.status,
             entryFeeUsd: room.entryFeeUsd,
+            currency: getCurrency(room).key,
             tokenAmount: room.tokenAmount,
             playerCount: room.players.length,
             spectatorCount: room.spectators.length,
             players: room.players.map(p => ({ name: p.name, color: p.color })),
             currentTurn: room.currentTurn,
+            timeControl: room.timeControl || null,
             createdAt: room.createdAt || Date.now()
         });
     });
@@ -1348,6 +2105,7 @@ app.get('/api/rooms/:code/payments', (req, res) => {
     res.json({
         success: true, status: room.status, confirmedPayments: room.confirmedPayments,
         canStartGame: room.confirmedPayments >= 2 && room.players.length >= 2,
+        currency: getCurrency(room).key,
         tokenAmount: room.tokenAmount,
         players: room.players.map(p => ({ id: p.id, name: p.name, color: p.color, paymentConfirmed: p.paid }))
     });
@@ -1358,7 +2116,11 @@ app.get('/api/rooms/:code/state', (req, res) => {
     if (!room) return res.status(404).json({ error: 'Not found' });
     
     updateTimer(room);
-    
+    res.json({ success: true, ...getChessState(room) });
+});
+
+// Full chess room payload - the /state response and the event stream snapshot
+function getChessState(room) {
     // Update player info from maps
     room.players.forEach(p => {
         p.name = getUsername(p.wallet);
@@ -1367,11 +2129,19 @@ app.get('/api/rooms/:code/state', (req, res) => {
         p.avatar = profile?.avatar || '🐸';
     });
     
-    res.json({
-        success: true, status: room.status, board: room.board, currentTurn: room.currentTurn,
+    return {
+        status: room.status, board: room.board, currentTurn: room.currentTurn,
         lastMove: room.lastMove, winner: room.winner,
+        inCheck: isInCheck(room.board, room.currentTurn),
+        result: room.result || null,
+        termination: room.termination || null,
+        moves: room.moves || [],
         whiteTimeMs: room.whiteTimeMs, blackTimeMs: room.blackTimeMs,
+        timeControl: room.timeControl || null,
+        delayRemainingMs: room.delayRemainingMs || 0,
+        currency: getCurrency(room).key,
         tokenAmount: room.tokenAmount,
+        quote: room.quote || null,
         entryFeeUsd: room.entryFeeUsd,
         players: room.players.map(p => ({ 
             id: p.id, 
@@ -1393,49 +2163,432 @@ app.get('/api/rooms/:code/state', (req, res) => {
         // Draw/Resign info
         drawOfferedBy: room.drawOfferedBy,
         isDraw: room.isDraw || false,
-        resignedBy: room.resignedBy
-    });
+        resignedBy: room.resignedBy,
+        payoutRentLamports: room.payoutRentLamports || 0,
+        payouts: getRoomPayouts(room),
+        rematch: room.rematch || null,     // { proposedBy, status, expiresAt, code } - code is the new room once accepted
+        rematchOf: room.rematchOf || null
+    };
+}
+
+// Export game as PGN (live room, or archived once the room is cleaned up)
+app.get('/api/rooms/:code/pgn', (req, res) => {
+    const code = req.params.code.toUpperCase();
+    const room = rooms.get(code);
+    const pgn = room ? buildPgn(room) : pgnArchive.get(code);
+    if (!pgn) return res.status(404).json({ error: 'Not found' });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="ggfun-${code}.pgn"`);
+    res.type('application/x-chess-pgn').send(pgn);
 });
 
 function updateTimer(room) {
     if (room.status !== 'playing' || !room.lastMoveTime) return;
     
-    const elapsed = Date.now() - room.lastMoveTime;
+    let elapsed = Date.now() - room.lastMoveTime;
+    // Simple delay: the clock only starts running once the delay is used up
+    if (room.delayRemainingMs > 0) {
+        const used = Math.min(room.delayRemainingMs, elapsed);
+        room.delayRemainingMs -= used;
+        elapsed -= used;
+    }
     if (room.currentTurn === 'white') {
         room.whiteTimeMs = Math.max(0, room.whiteTimeMs - elapsed);
         if (room.whiteTimeMs <= 0) {
-            room.winner = 1;
-            room.status = 'finished';
-            room.finishedAt = Date.now();
             console.log('White timeout! Black wins:', room.code);
-            handlePayout(room);
+            finishChessGame(room, 1, 'timeout').catch(e => console.error('Timeout payout error:', e.message));
         }
     } else {
         room.blackTimeMs = Math.max(0, room.blackTimeMs - elapsed);
         if (room.blackTimeMs <= 0) {
-            room.winner = 0;
-            room.status = 'finished';
-            room.finishedAt = Date.now();
             console.log('Black timeout! White wins:', room.code);
-            handlePayout(room);
+            finishChessGame(room, 0, 'timeout').catch(e => console.error('Timeout payout error:', e.message));
         }
     }
     room.lastMoveTime = Date.now();
 }
 
+// ═══════════════════════════════════════════════════════════════
+// CLOCK SCHEDULER - Flags timed games server-side, no polling needed
+// ═══════════════════════════════════════════════════════════════
+// gameType -> { rooms, getDeadline(room), onDeadline(room) }
+const clockGames = {};
+const clockTimers = new Map(); // `${gameType}:${code}` -> timeout handle
+
+function registerClockGame(gameType, handlers) {
+    clockGames[gameType] = handlers;
+}
+
+// (Re)arm the flag timer for a room. Call whenever its clocks or status change
+function scheduleClock(gameType, room) {
+    const key = `${gameType}:${room.code}`;
+    clearTimeout(clockTimers.get(key));
+    clockTimers.delete(key);
+    
+    const game = clockGames[gameType];
+    const deadline = game?.getDeadline(room);
+    if (!deadline) return;
+    
+    // Small slack so the clock has really reached zero when we check it
+    const timer = setTimeout(() => {
+        clockTimers.delete(key);
+        if (game.rooms.get(room.code) !== room) return; // Room was cleaned up
+        game.onDeadline(room);
+        scheduleClock(gameType, room); // Still running (e.g. clock changed) - wait for the new deadline
+    }, Math.max(0, deadline - Date.now()) + 5);
+    clockTimers.set(key, timer);
+}
+
+function cancelClock(gameType, code) {
+    clearTimeout(clockTimers.get(`${gameType}:${code}`));
+    clockTimers.delete(`${gameType}:${code}`);
+}
+
+// Safety net: every live timed game should have a pending flag timer
+setInterval(() => {
+    for (const [gameType, game] of Object.entries(clockGames)) {
+        for (const room of game.rooms.values()) {
+            if (!clockTimers.has(`${gameType}:${room.code}`) && game.getDeadline(room)) {
+                scheduleClock(gameType, room);
+            }
+        }
+    }
+}, 30000);
+
+registerClockGame('chess', {
+    rooms,
+    getDeadline: room => {
+        if (room.status !== 'playing' || !room.lastMoveTime) return null;
+        const remaining = room.currentTurn === 'white' ? room.whiteTimeMs : room.blackTimeMs;
+        return room.lastMoveTime + (room.delayRemainingMs || 0) + remaining;
+    },
+    onDeadline: updateTimer
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ROOM EVENTS - Server-Sent Events per room, replaces state polling
+// GET /api/rooms/:code/events, /api/ttt/rooms/:code/events, /api/battleship/rooms/:code/events
+// Reconnects send Last-Event-ID (or ?lastEventId=) to replay what was missed;
+// if it is too old the stream starts with a full "state" snapshot instead
+// ═══════════════════════════════════════════════════════════════
+const ROOM_EVENT_BUFFER = 100;       // Events kept per room for resume
+const EVENT_HEARTBEAT_MS = 15000;    // Keep-alive, and clock sync for running chess games
+const roomStreams = new Map();       // `${gameType}:${code}` -> { room, events, clients, lastId }
+
+// Snapshot sent on connect - same payloads as the REST routes
+const ROOM_SNAPSHOTS = {
+    chess: room => {
+        updateTimer(room);
+        return getChessState(room);
+    },
+    tictactoe: room => ({ ...withoutSeatTokens(room), payouts: getRoomPayouts(room) }),
+    battleship: (room, viewerId) => sanitizeBattleshipRoom(room, viewerId)
+};
+
+function getRoomStream(gameType, room) {
+    const key = `${gameType}:${room.code}`;
+    let stream = roomStreams.get(key);
+    if (stream?.room !== room) {
+        if (stream) closeRoomStream(key, stream); // Code reused by a new room
+        stream = { room, events: [], clients: new Set(), lastId: room.eventSeq || 0 };
+        roomStreams.set(key, stream);
+    }
+    return stream;
+}
+
+function closeRoomStream(key, stream) {
+    for (const client of stream.clients) {
+        writeEvent(client, { type: 'closed', data: { code: stream.room.code } });
+        client.end();
+    }
+    stream.clients.clear();
+    if (roomStreams.get(key) === stream) roomStreams.delete(key);
+}
+
+function writeEvent(client, { id, type, data }) {
+    client.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Buffer an event and send it to every connected client
+function pushStreamEvent(stream, event, bufferSize) {
+    stream.lastId = event.id;
+    stream.events.push(event);
+    if (stream.events.length > bufferSize) stream.events.shift();
+    for (const client of stream.clients) writeEvent(client, event);
+}
+
+// Start an SSE response: replay the events after the client's last id when they are all
+// still buffered, otherwise send a "state" snapshot. Then keep the client subscribed
+function openEventStream(req, res, stream, getSnapshot) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    
+    const lastId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId);
+    const missed = stream.events.filter(e => e.id > lastId);
+    const canResume = lastId <= stream.lastId && (missed.length ? missed[0].id === lastId + 1 : lastId === stream.lastId);
+    
+    if (canResume) {
+        missed.forEach(event => writeEvent(res, event));
+    } else {
+        const snapshot = getSnapshot(); // May publish (e.g. a chess flag) - take the id afterwards
+        writeEvent(res, { id: stream.lastId, type: 'state', data: snapshot });
+    }
+    
+    stream.clients.add(res);
+    req.on('close', () => stream.clients.delete(res));
+}
+
+// Push an event to everyone watching the room. Ids come from room.eventSeq, which is
+// persisted with the room so they keep increasing across restarts
+function publishRoomEvent(room, type, data = {}) {
+    room.eventSeq = (room.eventSeq || 0) + 1;
+    const event = { id: room.eventSeq, type, data: { code: room.code, status: room.status, time: Date.now(), ...data } };
+    pushStreamEvent(getRoomStream(room.gameType || 'chess', room), event, ROOM_EVENT_BUFFER);
+    forwardRoomEventToLobby(room, type);
+}
+
+function publishGameOver(room) {
+    publishRoomEvent(room, 'game_over', {
+        winner: room.winner ?? null,
+        isDraw: room.isDraw || false,
+        result: room.result || null,
+        termination: room.termination || null
+    });
+}
+
+function streamRoomEvents(gameType) {
+    return (req, res) => {
+        const room = PAYMENT_GAMES[gameType].getRooms().get(req.params.code.toUpperCase());
+        if (!room) return res.status(404).json({ error: 'Not found' });
+        
+        // Battleship players see their own grid in snapshots - EventSource can't set headers,
+        // so the seat token comes in the query (?playerId=&seatToken=)
+        let viewerId = null;
+        if (gameType === 'battleship' && req.query.playerId !== undefined) {
+            const seat = authorizeSeat(room, req.query.playerId, req);
+            if (seat.error) return res.status(seat.status).json({ error: seat.error });
+            viewerId = seat.player.id;
+        }
+        
+        openEventStream(req, res, getRoomStream(gameType, room), () => ROOM_SNAPSHOTS[gameType](room, viewerId));
+    };
+}
+
+app.get('/api/rooms/:code/events', streamRoomEvents('chess'));
+app.get('/api/ttt/rooms/:code/events', streamRoomEvents('tictactoe'));
+app.get('/api/battleship/rooms/:code/events', streamRoomEvents('battleship'));
+
+// Heartbeat: drop streams of deleted rooms, keep proxies from closing idle connections,
+// and send running chess clocks (not buffered - a reconnect gets fresh clocks anyway)
+setInterval(() => {
+    for (const [key, stream] of roomStreams) {
+        const gameType = key.split(':')[0];
+        const { room } = stream;
+        if (PAYMENT_GAMES[gameType].getRooms().get(room.code) !== room) {
+            if (room.listedAt && room.status !== 'finished') publishLobbyEvent('room_closed', { room: summarizeLobbyRoom(room) });
+            closeRoomStream(key, stream);
+            continue;
+        }
+        if (!stream.clients.size) continue;
+        
+        if (gameType === 'chess') updateTimer(room); // May flag the game, which publishes game_over
+        if (gameType === 'chess' && room.status === 'playing') {
+            const clock = {
+                code: room.code, currentTurn: room.currentTurn,
+                whiteTimeMs: room.whiteTimeMs, blackTimeMs: room.blackTimeMs,
+                delayRemainingMs: room.delayRemainingMs || 0, time: Date.now()
+            };
+            for (const client of stream.clients) writeEvent(client, { type: 'clock', data: clock });
+        } else {
+            for (const client of stream.clients) client.write(': ping\n\n');
+        }
+    }
+}, EVENT_HEARTBEAT_MS);
+
+// ═══════════════════════════════════════════════════════════════
+// LOBBY STREAM - One SSE feed for the lobby: rooms of every game, global chat, stats
+// GET /api/lobby/events - resumes like the room streams (Last-Event-ID / ?lastEventId=)
+// ═══════════════════════════════════════════════════════════════
+const LOBBY_EVENT_BUFFER = 200;
+// Seeded from the clock so ids keep increasing across restarts without persisting them
+const lobbyStream = { events: [], clients: new Set(), lastId: Date.now() };
+let lastLobbyStats = null;
+
+// Room events the lobby cares about, once a room is listed (player_joined may become room_filled)
+const LOBBY_ROOM_EVENTS = {
+    player_joined: 'room_updated',
+    player_left: 'room_updated',
+    payment: 'room_updated',
+    game_started: 'game_started',
+    game_over: 'game_finished'
+};
+
+// Same rule as the lobby listings: public rooms that are free, or once a stake is in
+function isListedRoom(room) {
+    return !room.isPrivate && (room.isFreeGame || room.players.some(p => p.paid));
+}
+
+function summarizeLobbyRoom(room) {
+    return {
+        gameType: room.gameType || 'chess',
+        code: room.code,
+        status: room.status,
+        entryFeeUsd: room.entryFeeUsd,
+        currency: getCurrency(room).key,
+        tokenAmount: room.tokenAmount,
+        isFreeGame: room.isFreeGame || false,
+        timeControl: room.timeControl || null,
+        playerCount: room.players.length,
+        players: room.players.map(p => ({ name: p.name, paid: p.paid })),
+        createdAt: room.createdAt
+    };
+}
+
+function publishLobbyEvent(type, data = {}) {
+    pushStreamEvent(lobbyStream, { id: lobbyStream.lastId + 1, type, data: { time: Date.now(), ...data } }, LOBBY_EVENT_BUFFER);
+}
+
+// Called for every room event. A room shows up as room_created the first time it is listed
+function forwardRoomEventToLobby(room, type) {
+    if (!room.listedAt) {
+        if (!isListedRoom(room)) return;
+        room.listedAt = Date.now();
+        publishLobbyEvent('room_created', { room: summarizeLobbyRoom(room) });
+    } else {
+        const lobbyType = type === 'player_joined' && room.players.length >= 2 ? 'room_filled' : LOBBY_ROOM_EVENTS[type];
+        if (!lobbyType) return;
+        publishLobbyEvent(lobbyType, { room: summarizeLobbyRoom(room) });
+    }
+    publishLobbyStats();
+}
+
+// Stats only go out when a counter changed
+function publishLobbyStats() {
+    const stats = getStats();
+    if (JSON.stringify(stats) === JSON.stringify(lastLobbyStats)) return;
+    lastLobbyStats = stats;
+    publishLobbyEvent('stats', { stats });
+}
+
+function getLobbySnapshot() {
+    const lobbyRooms = [];
+    for (const game of Object.values(PAYMENT_GAMES)) {
+        for (const room of game.getRooms().values()) {
+            if (room.status !== 'finished' && isListedRoom(room)) lobbyRooms.push(summarizeLobbyRoom(room));
+        }
+    }
+    return { rooms: lobbyRooms, stats: getStats(), chat: globalChat.slice(-50) };
+}
+
+app.get('/api/lobby/events', (req, res) => {
+    openEventStream(req, res, lobbyStream, getLobbySnapshot);
+});
+
+setInterval(() => {
+    publishLobbyStats(); // New users and cleaned-up rooms change the counters too
+    for (const client of lobbyStream.clients) client.write(': ping\n\n');
+}, EVENT_HEARTBEAT_MS);
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATIONS - Per-wallet event stream (matchmaking results, challenges, rematches)
+// GET /api/notifications/events - signed in; EventSource can't set headers, so it can
+// pass ?ticket= from POST /api/notifications/ticket instead
+// ═══════════════════════════════════════════════════════════════
+const NOTIFICATION_BUFFER = 50;
+const NOTIFICATION_IDLE_MS = 10 * 60 * 1000; // Streams nobody listens to are dropped after this
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+const notificationStreams = new Map(); // wallet -> { events, clients, lastId, updatedAt }
+const streamTickets = new Map(); // ticket -> { wallet, expiresAt }
+
+function getNotificationStream(playerWallet) {
+    let stream = notificationStreams.get(playerWallet);
+    if (!stream) {
+        // Ids seeded from the clock like the lobby's, so a recreated stream never reuses one
+        stream = { events: [], clients: new Set(), lastId: Date.now(), updatedAt: Date.now() };
+        notificationStreams.set(playerWallet, stream);
+    }
+    return stream;
+}
+
+function notifyWallet(playerWallet, type, data = {}) {
+    const stream = getNotificationStream(playerWallet);
+    stream.updatedAt = Date.now();
+    pushStreamEvent(stream, { id: stream.lastId + 1, type, data: { time: Date.now(), ...data } }, NOTIFICATION_BUFFER);
+}
+
+// What a client that connects (or missed too much) needs to catch up
+function getNotificationSnapshot(playerWallet) {
+    const { incoming, outgoing } = listChallenges(playerWallet);
+    return {
+        matchmaking: summarizeMatchTicket(matchQueue.get(playerWallet)),
+        challenges: {
+            incoming: incoming.filter(c => c.status === 'pending'),
+            outgoing: outgoing.filter(c => c.status === 'pending')
+        }
+    };
+}
+
+// Short-lived, single-use stand-in for the session in the stream URL - URLs end up in access logs and browser history
+app.post('/api/notifications/ticket', requireWallet(), (req, res) => {
+    const ticket = crypto.randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + STREAM_TICKET_TTL_MS;
+    streamTickets.set(ticket, { wallet: req.wallet, expiresAt });
+    res.json({ success: true, ticket, expiresAt });
+});
+
+// A session header as usual, or a stream ticket in the query string
+function requireStreamWallet(req, res, next) {
+    const ticket = typeof req.query.ticket === 'string' ? streamTickets.get(req.query.ticket) : null;
+    if (!ticket) return requireWallet()(req, res, next);
+    
+    streamTickets.delete(req.query.ticket); // Single use
+    if (Date.now() > ticket.expiresAt) return res.status(401).json({ error: 'Stream ticket expired' });
+    req.wallet = ticket.wallet;
+    next();
+}
+
+app.get('/api/notifications/events', requireStreamWallet, (req, res) => {
+    const stream = getNotificationStream(req.wallet);
+    openEventStream(req, res, stream, () => getNotificationSnapshot(req.wallet));
+    req.on('close', () => { stream.updatedAt = Date.now(); });
+});
+
+setInterval(() => {
+    for (const [ticket, { expiresAt }] of streamTickets) {
+        if (Date.now() > expiresAt) streamTickets.delete(ticket);
+    }
+    for (const [playerWallet, stream] of notificationStreams) {
+        if (!stream.clients.size && Date.now() - stream.updatedAt > NOTIFICATION_IDLE_MS) {
+            notificationStreams.delete(playerWallet);
+            continue;
+        }
+        for (const client of stream.clients) client.write(': ping\n\n');
+    }
+}, EVENT_HEARTBEAT_MS);
+
 function sanitizeRoom(room) {
     return {
         ...room,
         walletAddress: WALLET_ADDRESS,
-        tokenSymbol: TOKEN_SYMBOL,
+        currency: getCurrency(room).key,
+        tokenSymbol: getCurrency(room).symbol,
         isFreeGame: room.isFreeGame || false,
         players: room.players.map(p => ({ id: p.id, name: p.name, color: p.color, paid: p.paid })),
+        positionHistory: undefined,
         spectatorCount: room.spectators.length,
         // Payout proof
         payoutTx: room.payoutTx || null,
         payoutAmount: room.payoutAmount || null,
         payoutTime: room.payoutTime || null,
         payoutError: room.payoutError || null,
+        payoutRentLamports: room.payoutRentLamports || 0,
+        payouts: getRoomPayouts(room),
         // Draw/Resign info
         drawOfferedBy: room.drawOfferedBy,
         drawOfferedAt: room.drawOfferedAt,
@@ -1448,57 +2601,266 @@ function sanitizeRoom(room) {
 // ═══════════════════════════════════════════════════════════════
 // PAYMENT VERIFICATION
 // ═══════════════════════════════════════════════════════════════
-app.post('/api/payments/verify', async (req, res) => {
+const houseTokenAccounts = new Map(); // currency -> house account
+
+// Where entry fees must be sent: the house wallet's ATA for the currency (the wallet itself for SOL)
+async function getHouseTokenAccount(currencyKey = DEFAULT_CURRENCY) {
+    const currency = getCurrency(currencyKey);
+    if (!houseTokenAccounts.has(currency.key)) {
+        const house = new PublicKey(WALLET_ADDRESS);
+        houseTokenAccounts.set(currency.key, currency.mint
+            ? await getAssociatedTokenAddress(currency.mint, house, false, currency.programId)
+            : house);
+    }
+    return houseTokenAccounts.get(currency.key);
+}
+
+// Native SOL transfers (System Program), top-level or inner (CPI)
+function getSolTransfers(tx) {
+    const instructions = [
+        ...tx.transaction.message.instructions,
+        ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+    return instructions
+        .filter(ix => ix.programId?.equals(SystemProgram.programId) && ['transfer', 'transferWithSeed'].includes(ix.parsed?.type))
+        .map(ix => ({
+            source: ix.parsed.info.source,
+            destination: ix.parsed.info.destination,
+            mint: null,
+            sourceOwner: ix.parsed.info.source,
+            amount: BigInt(ix.parsed.info.lamports)
+        }));
+}
+
+// SPL transfer/transferChecked instructions of one token program, top-level or inner (CPI)
+function getTokenTransfers(tx, programId = TOKEN_2022_PROGRAM_ID) {
+    const instructions = [
+        ...tx.transaction.message.instructions,
+        ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+    const accountKeys = tx.transaction.message.accountKeys.map(k => k.pubkey.toString());
+    const tokenBalances = [...(tx.meta?.preTokenBalances || []), ...(tx.meta?.postTokenBalances || [])];
+    const findBalance = address => tokenBalances.find(b => accountKeys[b.accountIndex] === address);
+    
+    return instructions
+        .filter(ix => ix.programId?.equals(programId) && ['transfer', 'transferChecked'].includes(ix.parsed?.type))
+        .map(ix => {
+            const info = ix.parsed.info;
+            const source = findBalance(info.source);
+            const destination = findBalance(info.destination);
+            return {
+                source: info.source,
+                destination: info.destination,
+                // Plain "transfer" doesn't carry the mint - take it from the token balances
+                mint: info.mint || destination?.mint || source?.mint || null,
+                sourceOwner: source?.owner || info.authority || info.multisigAuthority || null,
+                amount: BigInt(info.tokenAmount?.amount ?? info.amount ?? 0)
+            };
+        });
+}
+
+// Check that a transaction pays at least requiredRaw of the currency from playerWallet to the house account.
+// Returns { amountRaw, accountKeys, memos } or { error } with the precise reason
+async function verifyTokenPayment(txSignature, playerWallet, requiredRaw, currencyKey, notBefore) {
+    const tx = await connection.getParsedTransaction(txSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+    if (!tx) return { error: 'Transaction not found (it may not be confirmed yet)' };
+    if (tx.meta?.err) return { error: 'Transaction failed on-chain' };
+    if (notBefore && tx.blockTime && tx.blockTime * 1000 < notBefore) {
+        return { error: 'Transaction was sent before this payment was requested' };
+    }
+    
+    const currency = getCurrency(currencyKey);
+    const houseAccount = (await getHouseTokenAccount(currency.key)).toString();
+    const required = BigInt(requiredRaw);
+    
+    let transfers = currency.mint ? getTokenTransfers(tx, currency.programId) : getSolTransfers(tx);
+    if (transfers.length === 0) {
+        return { error: currency.mint ? `No ${currency.symbol} token transfer found in transaction` : 'No SOL transfer found in transaction' };
+    }
+    
+    if (currency.mint) {
+        transfers = transfers.filter(t => t.mint === currency.mint.toString());
+        if (transfers.length === 0) return { error: `Wrong token: expected ${currency.symbol} (${currency.mint.toString()})` };
+    }
+    
+    transfers = transfers.filter(t => t.destination === houseAccount);
+    if (transfers.length === 0) return { error: `Transfer destination is not the house ${currency.mint ? 'token account' : 'wallet'}` };
+    
+    transfers = transfers.filter(t => t.sourceOwner === playerWallet);
+    if (transfers.length === 0) return { error: 'Transfer was not sent from your wallet' };
+    
+    const amount = transfers.reduce((sum, t) => sum + t.amount, 0n);
+    if (amount < required) {
+        const sent = fromRawAmount(amount, currency.key);
+        return { error: `Insufficient amount: sent ${sent} ${currency.symbol}, required ${fromRawAmount(required, currency.key)} ${currency.symbol}` };
+    }
+    
+    return { amountRaw: amount.toString(), ...getPaymentTags(tx) };
+}
+
+// Solana Pay reference keys and memos that tie a payment to a room seat
+function getPaymentTags(tx) {
+    return {
+        accountKeys: tx.transaction.message.accountKeys.map(k => k.pubkey.toString()),
+        memos: tx.transaction.message.instructions
+            .filter(ix => ix.programId?.equals(MEMO_PROGRAM_ID) && typeof ix.parsed === 'string')
+            .map(ix => ix.parsed)
+    };
+}
+
+// Per-game hooks for the shared payment flow
+const PAYMENT_GAMES = {
+    chess: {
+        getRooms: () => rooms,
+        onAllPaid: room => {
+            room.status = 'playing';
+            room.lastMoveTime = Date.now();
+            scheduleClock('chess', room);
+        },
+        finish: finishChessGame
+    },
+    tictactoe: {
+        getRooms: () => tttRooms,
+        onAllPaid: room => { room.status = 'playing'; },
+        finish: finishGame
+    },
+    battleship: {
+        getRooms: () => battleshipRooms,
+        onAllPaid: room => { room.status = 'placing_ships'; },
+        finish: finishGame
+    }
+};
+const PAYABLE_STATUSES = ['waiting_players', 'waiting_payments'];
+const pendingPaymentTx = new Set(); // Signatures currently being verified (blocks concurrent replays)
+
+// Shared entry-fee verification for every game. Returns { room, player } or { status, error }.
+// Without a txSignature, the payment is looked up by the seat's Solana Pay reference
+async function confirmRoomPayment(gameType, roomCode, txSignature, playerWallet, reference) {
+    if (!txSignature && reference) {
+        const room = PAYMENT_GAMES[gameType].getRooms().get(String(roomCode).toUpperCase());
+        if (!room) return { status: 404, error: 'Room not found' };
+        const seat = room.players.find(p => p.paymentReference === reference);
+        if (!seat) return { status: 400, error: 'Unknown payment reference' };
+        if (seat.paid) return { room, player: seat }; // Already confirmed (e.g. by the deposit watcher)
+        txSignature = await findReferenceSignature(reference);
+        if (!txSignature) return { status: 404, error: 'No payment found for this reference yet' };
+    }
+    if (!roomCode || !txSignature || !playerWallet) return { status: 400, error: 'Missing required fields' };
+    if (!isValidWallet(playerWallet)) return { status: 400, error: 'Invalid wallet address' };
+    if (typeof txSignature !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(txSignature)) {
+        return { status: 400, error: 'Invalid transaction signature' };
+    }
+    
+    const room = PAYMENT_GAMES[gameType].getRooms().get(String(roomCode).toUpperCase());
+    if (!room) return { status: 404, error: 'Room not found' };
+    
+    // Same transaction verified again (e.g. after the deposit watcher got to it first)
+    const paidWithTx = room.players.find(p => p.paid && p.paymentTx === txSignature);
+    if (paidWithTx) return { room, player: paidWithTx };
+    if (room.status === 'finished') return { status: 400, error: 'Game already finished' };
+    if (!PAYABLE_STATUSES.includes(room.status)) return { status: 400, error: 'Game already started' };
+    if (room.isFreeGame) return { status: 400, error: 'Free game - no payment needed' };
+    const quoteError = getQuoteError(room, QUOTE_GRACE_MS);
+    if (quoteError) return { status: 400, error: quoteError };
+    if (processedTx.has(txSignature) || pendingPaymentTx.has(txSignature)) {
+        return { status: 400, error: 'Transaction already processed' };
+    }
+    
+    // Check if this wallet already paid in this room (prevent self-play)
+    if (room.players.some(p => p.wallet === playerWallet && p.paid)) {
+        return { status: 400, error: 'You already paid for this room. Cannot play against yourself!' };
+    }
+    if (!WALLET_ADDRESS) return { status: 500, error: 'House wallet not configured' };
+    
+    pendingPaymentTx.add(txSignature);
     try {
-        const { roomCode, txSignature, playerWallet } = req.body;
-        
-        // Validate inputs
-        if (!roomCode || !txSignature || !playerWallet) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-        if (!isValidWallet(playerWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-        
-        const room = rooms.get(roomCode.toUpperCase());
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status === 'finished') return res.status(400).json({ error: 'Game already finished' });
-        if (room.status === 'playing') return res.status(400).json({ error: 'Game already started' });
-        if (processedTx.has(txSignature)) return res.status(400).json({ error: 'Transaction already processed' });
-        
-        // Check if this wallet already paid in this room (prevent self-play)
-        const alreadyPaid = room.players?.find(p => p.wallet === playerWallet && p.paid);
-        if (alreadyPaid) {
-            return res.status(400).json({ error: 'You already paid for this room. Cannot play against yourself!' });
+        // Allow a minute of clock skew between our server and the cluster
+        const payment = await verifyTokenPayment(txSignature, playerWallet, getStakeRaw(room), room.currency, room.createdAt - 60000);
+        if (payment.error) {
+            console.warn(`Payment rejected: ${gameType} ${room.code} - ${txSignature.slice(0, 12)}... - ${payment.error}`);
+            return { status: 400, error: payment.error };
         }
-        const tx = await connection.getTransaction(txSignature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
-        if (!tx) return res.status(400).json({ error: 'TX not found' });
-        if (tx.meta?.err) return res.status(400).json({ error: 'TX failed' });
         
-        // Find the player with this wallet, or the first unpaid player
-        let player = room.players.find(p => p.wallet === playerWallet && !p.paid);
-        if (!player) {
-            player = room.players.find(p => !p.paid);
+        // The room may have moved on while we waited for the RPC. Only the payer's own seat can take the
+        // payment - prefer the one it references - anything else is refunded below
+        const ownSeats = room.players.filter(p => p.wallet === playerWallet && !p.paid);
+        const player = ownSeats.find(p => p.paymentReference && payment.accountKeys.includes(p.paymentReference)) || ownSeats[0];
+        if (!PAYABLE_STATUSES.includes(room.status) || !player) {
+            console.error(`Verified payment could not be applied: ${gameType} ${room.code} - ${txSignature} from ${playerWallet}`);
+            refundUnappliedPayment(gameType, room, { txSignature, playerWallet, amountRaw: payment.amountRaw });
+            return { status: 400, error: 'No unpaid seat of yours in this room - your payment is being refunded' };
         }
-        if (!player) return res.status(400).json({ error: 'All paid' });
         
-        // Prevent same wallet from being both players
-        const otherPlayer = room.players.find(p => p.wallet === playerWallet && p !== player);
-        if (otherPlayer) {
-            return res.status(400).json({ error: 'Cannot play against yourself!' });
-        }
-        
-        player.paid = true;
-        player.wallet = playerWallet;
-        player.name = getUsername(playerWallet);
-        room.confirmedPayments++;
-        processedTx.add(txSignature);
+        markSeatPaid(gameType, room, player, { paymentTx: txSignature, paidAmountRaw: payment.amountRaw });
+        return { room, player };
+    } finally {
+        pendingPaymentTx.delete(txSignature);
+    }
+}
+
+// A verified transfer that arrived after its room closed (or filled) - send the full amount back to the payer.
+// The job id is per transaction, so a payment is only ever refunded once
+function refundUnappliedPayment(gameType, room, { txSignature, playerWallet, amountRaw }) {
+    markTxProcessed(txSignature);
+    recordLedgerEntry({
+        id: `deposit:${txSignature}`,
+        type: 'deposit',
+        debit: 'house',
+        credit: 'escrow',
+        amountRaw,
+        room,
+        wallet: playerWallet,
+        tx: txSignature
+    });
+    
+    const id = `payment_refund:${txSignature}`;
+    if (payoutJobs.has(id)) return payoutJobs.get(id);
+    const job = createPayoutJob({
+        id,
+        roomCode: room.code,
+        gameType,
+        kind: 'payment_refund',
+        recipient: playerWallet,
+        recipientName: getUsername(playerWallet),
+        currency: getCurrency(room).key,
+        amountRaw
+    });
+    if (!room.payoutJobIds) room.payoutJobIds = [];
+    room.payoutJobIds.push(id);
+    flushRooms().then(processPayoutQueue);
+    return job;
+}
+
+// Mark a seat paid (on-chain or from the in-app balance) and start the game once every seat is paid
+function markSeatPaid(gameType, room, player, { paymentTx = null, paidAmountRaw, fromBalance = false }) {
+    player.paid = true;
+    player.paymentTx = paymentTx;
+    player.paidAmountRaw = paidAmountRaw;
+    player.paidAt = Date.now();
+    if (fromBalance) player.paidFromBalance = true;
+    if (paymentTx) markTxProcessed(paymentTx);
+    recordDepositEntry(room, player);
+    
+    room.confirmedPayments = room.players.filter(p => p.paid).length;
+    if (room.players.length >= 2 && room.players.every(p => p.paid)) {
+        PAYMENT_GAMES[gameType].onAllPaid(room);
+    } else {
+        room.status = room.players.length >= 2 ? 'waiting_payments' : 'waiting_players';
+    }
+    publishRoomEvent(room, 'payment', { playerId: player.id, confirmedPayments: room.confirmedPayments });
+    if (room.status === 'playing') publishRoomEvent(room, 'game_started', { currentTurn: room.currentTurn });
+    
+    console.log(`Payment ${fromBalance ? 'from balance' : 'verified'}: ${gameType} ${room.code} - Player ${player.id} - ${room.tokenAmount} ${getCurrency(room).symbol}`);
+    saveRooms();
+}
+
+app.post('/api/payments/verify', async (req, res) => {
+    try {
+        const { roomCode, txSignature, playerWallet, reference } = req.body;
         
-        if (room.confirmedPayments >= 2 && room.players.length >= 2) {
-            room.status = 'playing';
-            room.lastMoveTime = Date.now();
-        }
-        console.log(`Payment verified: ${roomCode} - Player ${player.id} - ${room.tokenAmount} ${TOKEN_SYMBOL}`);
+        const result = await confirmRoomPayment('chess', roomCode, txSignature, playerWallet, reference);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const { room } = result;
         
         let msg = 'Payment confirmed!';
         if (room.status === 'playing') msg = 'Game starting!';
@@ -1508,290 +2870,2521 @@ app.post('/api/payments/verify', async (req, res) => {
 });
 
 // ═══════════════════════════════════════════════════════════════
-// MOVE
+// SOLANA PAY - Transaction requests for entry fees
+// GET  /api/solana-pay/:gameType/:code/:seat -> { label, icon }
+// POST /api/solana-pay/:gameType/:code/:seat { account } -> { transaction, message }
+// Wallets open it from solana:<encoded url> (QR code or deep link)
 // ═══════════════════════════════════════════════════════════════
-app.post('/api/rooms/:code/move', (req, res) => {
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const SOLANA_PAY_LABEL = 'GG Fun Arena';
+const SOLANA_PAY_ICON = process.env.SOLANA_PAY_ICON || 'https://ggfun.lol/logo.png';
+const GAME_NAMES = { chess: 'Chess', tictactoe: 'Tic-Tac-Toe', battleship: 'Battleship' };
+
+// Memo tying a payment to a room seat, e.g. "ggfun:chess:AB12CD:1"
+function getPaymentMemo(gameType, code, seatId) {
+    return `ggfun:${gameType}:${code}:${seatId}`;
+}
+
+// Unique reference key per seat - added to the transfer so the payment can be found on-chain
+function getSeatPaymentReference(player) {
+    if (!player.paymentReference) {
+        player.paymentReference = Keypair.generate().publicKey.toString();
+        saveRooms();
+    }
+    return player.paymentReference;
+}
+
+// Latest successful, unprocessed transaction that carries a payment reference
+async function findReferenceSignature(reference) {
+    const signatures = await connection.getSignaturesForAddress(new PublicKey(reference), { limit: 20 }, 'confirmed');
+    return signatures.find(s => !s.err && !processedTx.has(s.signature))?.signature || null;
+}
+
+// Resolve the room seat a transaction request is for. Returns { room, player } or { status, error }
+function getPayableSeat(params) {
+    const game = PAYMENT_GAMES[params.gameType];
+    if (!game) return { status: 404, error: 'Unknown game type' };
+    
+    const room = game.getRooms().get(params.code?.toUpperCase());
+    if (!room) return { status: 404, error: 'Room not found' };
+    if (room.isFreeGame) return { status: 400, error: 'Free game - no payment needed' };
+    if (!PAYABLE_STATUSES.includes(room.status)) return { status: 400, error: 'Room is no longer accepting payments' };
+    const quoteError = getQuoteError(room);
+    if (quoteError) return { status: 400, error: quoteError };
+    
+    const player = room.players.find(p => p.id === parseInt(params.seat));
+    if (!player) return { status: 404, error: 'Seat not found - join the room first' };
+    if (player.paid) return { status: 400, error: 'This seat is already paid' };
+    return { room, player };
+}
+
+app.get('/api/solana-pay/:gameType/:code/:seat', (req, res) => {
+    const seat = getPayableSeat(req.params);
+    if (seat.error) return res.status(seat.status).json({ error: seat.error });
+    
+    const url = `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+    res.json({
+        label: SOLANA_PAY_LABEL,
+        icon: SOLANA_PAY_ICON,
+        // Not part of the Solana Pay spec - lets our own clients render the QR code / deep link
+        link: `solana:${encodeURIComponent(url)}`,
+        reference: getSeatPaymentReference(seat.player),
+        currency: getCurrency(seat.room).key,
+        tokenAmount: seat.room.tokenAmount
+    });
+});
+
+app.post('/api/solana-pay/:gameType/:code/:seat', async (req, res) => {
     try {
-        const { playerId, from, to } = req.body;
+        const { account } = req.body;
+        if (!isValidWallet(account)) return res.status(400).json({ error: 'Invalid account' });
+        if (!WALLET_ADDRESS) return res.status(500).json({ error: 'House wallet not configured' });
         
-        // Validate inputs
-        if (playerId === undefined || playerId === null) return res.status(400).json({ error: 'Missing player ID' });
-        if (!from || from.row === undefined || from.col === undefined) return res.status(400).json({ error: 'Invalid from position' });
-        if (!to || to.row === undefined || to.col === undefined) return res.status(400).json({ error: 'Invalid to position' });
-        if (from.row < 0 || from.row > 7 || from.col < 0 || from.col > 7) return res.status(400).json({ error: 'From position out of bounds' });
-        if (to.row < 0 || to.row > 7 || to.col < 0 || to.col > 7) return res.status(400).json({ error: 'To position out of bounds' });
+        const seat = getPayableSeat(req.params);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        const { room, player } = seat;
+        if (player.wallet && player.wallet !== account) {
+            return res.status(400).json({ error: 'This seat belongs to a different wallet' });
+        }
         
-        const code = req.params.code?.toUpperCase();
-        const room = rooms.get(code);
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
-        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
-        if (!room.board) return res.status(500).json({ error: 'Invalid game state' });
+        const gameType = req.params.gameType;
+        const currency = getCurrency(room);
+        const payer = new PublicKey(account);
+        const house = new PublicKey(WALLET_ADDRESS);
+        const houseAccount = await getHouseTokenAccount(currency.key);
+        const memo = getPaymentMemo(gameType, room.code, player.id);
         
-        updateTimer(room);
-        if (room.winner !== null) {
-            return res.json({ success: true, board: room.board, gameOver: true, winner: room.winner, timeout: true });
+        const tx = new Transaction();
+        let transfer;
+        if (currency.mint) {
+            const payerATA = await getAssociatedTokenAddress(currency.mint, payer, false, currency.programId);
+            if (!(await connection.getAccountInfo(houseAccount))) {
+                tx.add(createAssociatedTokenAccountIdempotentInstruction(payer, houseAccount, house, currency.mint, currency.programId));
+            }
+            transfer = createTransferCheckedInstruction(
+                payerATA,
+                currency.mint,
+                houseAccount,
+                payer,
+                getStakeRaw(room),
+                currency.decimals,
+                [],
+                currency.programId
+            );
+        } else {
+            transfer = SystemProgram.transfer({ fromPubkey: payer, toPubkey: house, lamports: getStakeRaw(room) });
         }
+        tx.add(new TransactionInstruction({ programId: MEMO_PROGRAM_ID, keys: [], data: Buffer.from(memo, 'utf8') }));
+        transfer.keys.push({ pubkey: new PublicKey(getSeatPaymentReference(player)), isSigner: false, isWritable: false });
+        tx.add(transfer);
         
-        const player = room.players?.[playerId];
-        if (!player) return res.status(400).json({ error: 'Invalid player' });
-        if (player.color !== room.currentTurn) return res.status(400).json({ error: 'Not your turn' });
-    
-    const piece = room.board[from.row][from.col];
-    if (!piece) return res.status(400).json({ error: 'No piece' });
-    
-    const pieceColor = piece === piece.toUpperCase() ? 'white' : 'black';
-    if (pieceColor !== player.color) return res.status(400).json({ error: 'Not your piece' });
-    
-    const target = room.board[to.row][to.col];
-    const capturedKing = target?.toLowerCase() === 'k';
-    
-    room.board[to.row][to.col] = piece;
-    room.board[from.row][from.col] = '';
-    room.lastMove = { from, to };
-    room.lastMoveTime = Date.now();
-    
-    console.log('Move:', room.code, player.color, `${from.row},${from.col} -> ${to.row},${to.col}`);
-    
-    if (capturedKing) {
-        room.winner = playerId;
-        room.status = 'finished';
-        room.finishedAt = Date.now();
-        console.log('Winner:', player.name);
-        handlePayout(room);
-        return res.json({ success: true, board: room.board, gameOver: true, winner: playerId });
+        const { blockhash } = await connection.getLatestBlockhash('confirmed');
+        tx.feePayer = payer;
+        tx.recentBlockhash = blockhash;
+        
+        console.log(`Solana Pay request: ${gameType} ${room.code} seat ${player.id} - ${account}`);
+        res.json({
+            transaction: tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64'),
+            message: `${GAME_NAMES[gameType]} room ${room.code} - ${room.tokenAmount.toLocaleString()} ${currency.symbol} entry fee`
+        });
+    } catch (e) {
+        console.error('Solana Pay request error:', e.message);
+        res.status(500).json({ error: 'Failed to build payment transaction' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DEPOSIT WATCHER - Confirms entry fees without a client callback
+// Polls the house account of each currency for new transactions and matches
+// them to unpaid seats by Solana Pay reference key or memo
+// ═══════════════════════════════════════════════════════════════
+const DEPOSIT_WATCH_MS = 15000;
+const DEPOSIT_PAGE_SIZE = 100;
+const DEPOSIT_MAX_PAGES = 5; // per currency and poll
+const DEPOSIT_MAX_ATTEMPTS = 8; // polls a signature may stay unresolved before it is skipped
+let depositCursors = {}; // currency -> newest house account signature fully resolved (persisted with live rooms)
+const depositAttempts = new Map(); // signature -> polls it has stayed unresolved
+let depositWatcherBusy = false;
+
+// Unpaid seats of paid rooms that are still waiting for their entry fee
+function getPendingSeats() {
+    const seats = [];
+    for (const [gameType, game] of Object.entries(PAYMENT_GAMES)) {
+        for (const room of game.getRooms().values()) {
+            if (room.isFreeGame || !PAYABLE_STATUSES.includes(room.status)) continue;
+            room.players.filter(p => !p.paid && p.wallet).forEach(player => seats.push({ gameType, room, player }));
+        }
+    }
+    return seats;
+}
+
+// Find the seat a house ATA transaction pays for - reference key first, then memo
+function matchPendingSeat(seats, { accountKeys, memos }) {
+    const byReference = seats.find(({ player }) => player.paymentReference && accountKeys.includes(player.paymentReference));
+    if (byReference) return byReference;
+    return seats.find(({ gameType, room, player }) => memos.includes(getPaymentMemo(gameType, room.code, player.id))) || null;
+}
+
+async function pollDeposits() {
+    if (depositWatcherBusy || !WALLET_ADDRESS) return;
+    const seats = getPendingSeats();
+    
+    depositWatcherBusy = true;
+    try {
+        // Only scan the house accounts of currencies someone is paying in
+        const paying = new Set(seats.map(({ room }) => getCurrency(room).key));
+        for (const currencyKey of paying) {
+            await pollCurrencyDeposits(currencyKey, seats.filter(({ room }) => getCurrency(room).key === currencyKey));
+        }
+        if (seats.length === 0) depositAttempts.clear();
+        // The rest just keep their cursor on the newest signature, so going busy again doesn't page back through idle history
+        for (const currencyKey of Object.keys(depositCursors).filter(key => !paying.has(key))) {
+            await skipIdleDeposits(currencyKey);
+        }
+    } catch (e) {
+        console.error('Deposit watcher error:', e.message);
+    } finally {
+        depositWatcherBusy = false;
+    }
+}
+
+async function skipIdleDeposits(currencyKey) {
+    const houseAccount = await getHouseTokenAccount(currencyKey);
+    const [newest] = await connection.getSignaturesForAddress(houseAccount, { limit: 1 }, 'confirmed');
+    if (!newest || newest.signature === depositCursors[currencyKey]) return;
+    depositCursors[currencyKey] = newest.signature;
+    saveRooms();
+}
+
+// Every house account signature newer than the cursor, newest first. Pages back with `before` so a
+// burst of more than one page since the last poll isn't dropped - the very first poll reads one page.
+// Past DEPOSIT_MAX_PAGES the older signatures are left out; the cursor then moves past them once the
+// newer ones resolve, and those seats can still be confirmed by the client or by reference
+async function getNewHouseSignatures(houseAccount, cursor) {
+    const signatures = [];
+    let before;
+    for (let pages = 0; pages < DEPOSIT_MAX_PAGES; pages++) {
+        const page = await connection.getSignaturesForAddress(houseAccount, { limit: DEPOSIT_PAGE_SIZE, before, until: cursor || undefined }, 'confirmed');
+        signatures.push(...page);
+        if (!cursor || page.length < DEPOSIT_PAGE_SIZE) return signatures;
+        before = page[page.length - 1].signature;
+    }
+    console.warn(`Deposit watcher: more than ${DEPOSIT_MAX_PAGES} pages since the cursor on ${houseAccount.toString()}, skipping older signatures`);
+    return signatures;
+}
+
+// Match one house account transaction to a pending seat and confirm it.
+// Returns false while it can't be resolved yet (not fetchable, being verified, RPC trouble)
+async function applyDepositSignature({ signature, err }, seats) {
+    if (err || processedTx.has(signature)) return true;
+    if (pendingPaymentTx.has(signature)) return false;
+    
+    const tx = await connection.getParsedTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+    if (!tx) return false;
+    if (tx.meta?.err) return true;
+    const match = matchPendingSeat(seats, getPaymentTags(tx));
+    if (!match) return true;
+    
+    const { gameType, room, player } = match;
+    const result = await confirmRoomPayment(gameType, room.code, signature, player.wallet);
+    if (result.error) {
+        console.warn(`Deposit watcher could not apply ${signature.slice(0, 12)}... to ${gameType} ${room.code}: ${result.error}`);
+        return result.status < 500;
+    }
+    console.log(`Deposit watcher confirmed payment: ${gameType} ${room.code} - Player ${result.player.id}`);
+    seats.splice(seats.indexOf(match), 1);
+    return true;
+}
+
+async function pollCurrencyDeposits(currencyKey, seats) {
+    const houseAccount = await getHouseTokenAccount(currencyKey);
+    const signatures = await getNewHouseSignatures(houseAccount, depositCursors[currencyKey]);
+    if (signatures.length === 0) return;
+    
+    // Oldest first, so a seat is matched with the first payment made for it. The cursor only moves up to
+    // the newest signature with nothing unresolved before it - the rest is scanned again on the next poll
+    let resolvedUpTo = null;
+    let blocked = false;
+    for (const entry of signatures.slice().reverse()) {
+        let resolved = await applyDepositSignature(entry, seats);
+        if (!resolved) {
+            const attempts = (depositAttempts.get(entry.signature) || 0) + 1;
+            depositAttempts.set(entry.signature, attempts);
+            if (attempts >= DEPOSIT_MAX_ATTEMPTS) {
+                console.warn(`Deposit watcher giving up on ${entry.signature.slice(0, 12)}... after ${attempts} polls`);
+                resolved = true;
+            }
+        }
+        if (resolved) depositAttempts.delete(entry.signature);
+        
+        if (!resolved) blocked = true;
+        else if (!blocked) resolvedUpTo = entry.signature;
+    }
+    
+    if (!resolvedUpTo) return;
+    depositCursors[currencyKey] = resolvedUpTo;
+    saveRooms();
+}
+
+setInterval(pollDeposits, DEPOSIT_WATCH_MS);
+
+// ═══════════════════════════════════════════════════════════════
+// IN-APP BALANCE - Custodial balances per wallet
+// Deposit once, pay entry fees from the balance, prizes are credited back
+// and withdrawals go out through the payout queue. Balances are held in $GGFUN only
+// ═══════════════════════════════════════════════════════════════
+const BALANCE_HISTORY_MAX = 200;
+const WITHDRAW_SIGNATURE_TTL_MS = 5 * 60 * 1000;
+const DEPOSIT_START_TIME = Date.parse(process.env.DEPOSIT_START_TIME || '') || 0; // ISO date - older transfers are never credited
+
+function getWalletBalance(playerWallet) {
+    if (!walletBalances.has(playerWallet)) {
+        walletBalances.set(playerWallet, { balanceRaw: '0', history: [], lastWithdrawAt: 0 });
+    }
+    return walletBalances.get(playerWallet);
+}
+
+function formatWalletBalance(playerWallet) {
+    const account = getWalletBalance(playerWallet);
+    return { balanceRaw: account.balanceRaw, balance: fromRawAmount(account.balanceRaw), symbol: TOKEN_SYMBOL };
+}
+
+// Move a wallet's balance by deltaRaw (BigInt). Returns null instead of going negative
+function adjustBalance(playerWallet, deltaRaw, { type, roomCode = null, tx = null, jobId = null }) {
+    const account = getWalletBalance(playerWallet);
+    const next = BigInt(account.balanceRaw) + deltaRaw;
+    if (next < 0n) return null;
+    
+    account.balanceRaw = next.toString();
+    account.history.unshift({ type, amountRaw: deltaRaw.toString(), balanceRaw: account.balanceRaw, roomCode, tx, jobId, createdAt: Date.now() });
+    if (account.history.length > BALANCE_HISTORY_MAX) account.history.length = BALANCE_HISTORY_MAX;
+    saveData(); // Persist
+    return account;
+}
+
+// Prize or refund for a seat that was paid from the balance - credited instantly, no transfer
+function creditPayoutToBalance(job) {
+    job.method = 'balance';
+    job.status = 'confirmed';
+    job.confirmedAt = Date.now();
+    adjustBalance(job.recipient, getJobAmountRaw(job), { type: job.kind, roomCode: job.roomCode, jobId: job.id });
+    console.log(`Payout credited: ${job.amount} ${TOKEN_SYMBOL} to ${job.recipientName}'s balance (${job.kind})`);
+    recordPayoutEntry(job);
+    applyPayoutResult(job);
+    saveRooms();
+}
+
+// Withdrawals debit the balance up front - give it back if the transfer finally fails
+function settleWithdrawal(job) {
+    const account = getWalletBalance(job.recipient);
+    if (job.status === 'confirmed') {
+        const entry = account.history.find(h => h.jobId === job.id);
+        if (entry) entry.tx = job.signature;
+        saveData(); // Persist
+    } else if (job.status === 'failed' && !job.reversedAt) {
+        job.reversedAt = Date.now();
+        adjustBalance(job.recipient, getJobAmountRaw(job), { type: 'withdrawal_reversed', jobId: job.id });
+    }
+}
+
+// Message a wallet signs to withdraw - the timestamp makes every request single-use
+function getWithdrawMessage(playerWallet, amount, timestamp) {
+    return `GG Fun Arena withdrawal\nAmount: ${amount} ${TOKEN_SYMBOL}\nWallet: ${playerWallet}\nTimestamp: ${timestamp}`;
+}
+
+// Memo alternative to the deposit reference key, for wallets that can't attach extra keys
+function getDepositMemo(reference) {
+    return `ggfun:deposit:${reference}`;
+}
+
+// Server-issued Solana Pay reference that marks a transfer as a balance deposit for this wallet
+function getDepositReference(playerWallet) {
+    const account = getWalletBalance(playerWallet);
+    if (!account.depositReference) {
+        account.depositReference = { reference: Keypair.generate().publicKey.toString(), issuedAt: Date.now() };
+        saveData(); // Persist
+    }
+    return account.depositReference;
+}
+
+app.get('/api/account/:wallet', (req, res) => {
+    const playerWallet = req.params.wallet;
+    if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet' });
+    
+    const pendingWithdrawals = Array.from(payoutJobs.values())
+        .filter(job => job.kind === 'withdrawal' && job.recipient === playerWallet && ['pending', 'confirming'].includes(job.status))
+        .map(summarizePayoutJob);
+    res.json({ success: true, ...formatWalletBalance(playerWallet), pendingWithdrawals });
+});
+
+app.get('/api/account/:wallet/history', (req, res) => {
+    const playerWallet = req.params.wallet;
+    if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet' });
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), BALANCE_HISTORY_MAX);
+    const history = (walletBalances.get(playerWallet)?.history || []).slice(0, limit).map(entry => ({
+        ...entry,
+        amount: fromRawAmount(entry.amountRaw),
+        balance: fromRawAmount(entry.balanceRaw)
+    }));
+    res.json({ success: true, ...formatWalletBalance(playerWallet), history });
+});
+
+// Deposits must carry this reference key (or its memo) - transfers made for anything else are never credited
+app.post('/api/account/deposit/reference', requireWallet(), (req, res) => {
+    const { reference, issuedAt } = getDepositReference(req.wallet);
+    res.json({ success: true, reference, memo: getDepositMemo(reference), issuedAt });
+});
+
+// Credit an on-chain transfer to the house ATA to the sender's balance
+app.post('/api/account/deposit', requireWallet(), async (req, res) => {
+    const { wallet: playerWallet, txSignature } = req.body;
+    if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
+    if (typeof txSignature !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(txSignature)) {
+        return res.status(400).json({ error: 'Invalid transaction signature' });
+    }
+    if (!WALLET_ADDRESS) return res.status(500).json({ error: 'House wallet not configured' });
+    if (processedTx.has(txSignature) || pendingPaymentTx.has(txSignature)) {
+        return res.status(400).json({ error: 'Transaction already processed' });
+    }
+    const depositReference = walletBalances.get(playerWallet)?.depositReference;
+    if (!depositReference) return res.status(400).json({ error: 'Request a deposit reference first' });
+    
+    pendingPaymentTx.add(txSignature);
+    try {
+        // Same minute of clock skew as room payments - blockTime only has whole seconds anyway
+        const notBefore = Math.max(DEPOSIT_START_TIME, depositReference.issuedAt - 60000);
+        const payment = await verifyTokenPayment(txSignature, playerWallet, 0n, DEFAULT_CURRENCY, notBefore);
+        if (payment.error) return res.status(400).json({ error: payment.error });
+        const { reference } = depositReference;
+        if (!payment.accountKeys.includes(reference) && !payment.memos.includes(getDepositMemo(reference))) {
+            return res.status(400).json({ error: 'Transaction does not carry your deposit reference' });
+        }
+        if (BigInt(payment.amountRaw) <= 0n) return res.status(400).json({ error: 'Deposit amount must be greater than zero' });
+        
+        markTxProcessed(txSignature);
+        adjustBalance(playerWallet, BigInt(payment.amountRaw), { type: 'deposit', tx: txSignature });
+        recordLedgerEntry({
+            id: `deposit:${txSignature}`,
+            type: 'deposit',
+            debit: 'house',
+            credit: 'balances',
+            amountRaw: payment.amountRaw,
+            wallet: playerWallet,
+            tx: txSignature
+        });
+        
+        console.log(`Balance deposit: ${fromRawAmount(payment.amountRaw)} ${TOKEN_SYMBOL} from ${playerWallet}`);
+        res.json({ success: true, deposited: fromRawAmount(payment.amountRaw), ...formatWalletBalance(playerWallet) });
+    } catch (e) {
+        console.error('Balance deposit error:', e.message);
+        res.status(500).json({ error: 'Failed to verify deposit' });
+    } finally {
+        pendingPaymentTx.delete(txSignature);
+    }
+});
+
+// Pay a room's entry fee from the balance (any game type)
+app.post('/api/account/pay', requireWallet(), (req, res) => {
+    const { wallet: playerWallet, roomCode, gameType = 'chess' } = req.body;
+    if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
+    
+    const game = PAYMENT_GAMES[gameType];
+    if (!game) return res.status(400).json({ error: 'Unknown game type' });
+    const room = game.getRooms().get(String(roomCode || '').toUpperCase());
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    if (room.isFreeGame) return res.status(400).json({ error: 'Free game - no payment needed' });
+    if (getCurrency(room).key !== DEFAULT_CURRENCY) return res.status(400).json({ error: `In-app balance can only pay ${TOKEN_SYMBOL} rooms` });
+    if (!PAYABLE_STATUSES.includes(room.status)) return res.status(400).json({ error: 'Game already started' });
+    
+    const player = room.players.find(p => p.wallet === playerWallet);
+    if (!player) return res.status(400).json({ error: 'Join the room first' });
+    if (player.paid) return res.status(400).json({ error: 'You already paid for this room' });
+    const quoteError = getQuoteError(room);
+    if (quoteError) return res.status(400).json({ error: quoteError });
+    
+    if (!adjustBalance(playerWallet, -getStakeRaw(room), { type: 'entry_fee', roomCode: room.code })) {
+        return res.status(400).json({ error: `Insufficient balance: ${room.tokenAmount} ${TOKEN_SYMBOL} required` });
+    }
+    markSeatPaid(gameType, room, player, { paidAmountRaw: getStakeRaw(room).toString(), fromBalance: true });
+    
+    res.json({ success: true, roomStatus: room.status, ...formatWalletBalance(playerWallet) });
+});
+
+// Withdraw to the wallet - body: { wallet, amount, timestamp, signature } where signature is the
+// base58 ed25519 signature of getWithdrawMessage(wallet, amount, timestamp)
+app.post('/api/account/withdraw', (req, res) => {
+    const { wallet: playerWallet, amount, timestamp, signature } = req.body;
+    if (!isValidWallet(playerWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
+    if (!Number.isInteger(amount) || amount <= 0) return res.status(400).json({ error: 'Amount must be a whole number of tokens' });
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() - timestamp) > WITHDRAW_SIGNATURE_TTL_MS) {
+        return res.status(400).json({ error: 'Withdrawal request expired - sign a new one' });
+    }
+    if (!wallet) return res.status(500).json({ error: 'Payouts are not configured' });
+    
+    const account = getWalletBalance(playerWallet);
+    if (timestamp <= account.lastWithdrawAt) return res.status(400).json({ error: 'Withdrawal request already used' });
+    if (!verifyWalletSignature(playerWallet, getWithdrawMessage(playerWallet, amount, timestamp), signature)) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+    
+    const jobId = `withdrawal:${playerWallet}:${timestamp}`;
+    if (!adjustBalance(playerWallet, -toRawAmount(amount), { type: 'withdrawal', jobId })) {
+        return res.status(400).json({ error: 'Insufficient balance' });
+    }
+    account.lastWithdrawAt = timestamp;
+    
+    const job = createPayoutJob({
+        id: jobId,
+        roomCode: null,
+        gameType: null,
+        kind: 'withdrawal',
+        recipient: playerWallet,
+        recipientName: getUsername(playerWallet),
+        currency: DEFAULT_CURRENCY,
+        amountRaw: toRawAmount(amount)
+    });
+    flushRooms().then(processPayoutQueue);
+    res.json({ success: true, withdrawal: summarizePayoutJob(job), ...formatWalletBalance(playerWallet) });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CHESS RULES - Move generation & validation
+// Board: row 0 = rank 8 (black), row 7 = rank 1 (white)
+// ═══════════════════════════════════════════════════════════════
+const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+const PIECE_NAMES = { p: 'pawn', n: 'knight', b: 'bishop', r: 'rook', q: 'queen', k: 'king' };
+const KNIGHT_OFFSETS = [[-2,-1],[-2,1],[-1,-2],[-1,2],[1,-2],[1,2],[2,-1],[2,1]];
+const KING_OFFSETS = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
+const ROOK_DIRS = [[-1,0],[1,0],[0,-1],[0,1]];
+const BISHOP_DIRS = [[-1,-1],[-1,1],[1,-1],[1,1]];
+
+function getPieceColor(piece) {
+    if (!piece) return null;
+    return piece === piece.toUpperCase() ? 'white' : 'black';
+}
+
+function colorPiece(type, color) {
+    return color === 'white' ? type.toUpperCase() : type;
+}
+
+function onBoard(row, col) {
+    return row >= 0 && row < 8 && col >= 0 && col < 8;
+}
+
+function findKing(board, color) {
+    const king = colorPiece('k', color);
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            if (board[r][c] === king) return { row: r, col: c };
+        }
+    }
+    return null;
+}
+
+function isSquareAttacked(board, row, col, byColor) {
+    // Pawns attack diagonally forward, so look one row "behind" the square
+    const pawn = colorPiece('p', byColor);
+    const pawnRow = row + (byColor === 'white' ? 1 : -1);
+    for (const dc of [-1, 1]) {
+        if (onBoard(pawnRow, col + dc) && board[pawnRow][col + dc] === pawn) return true;
+    }
+    
+    const knight = colorPiece('n', byColor);
+    for (const [dr, dc] of KNIGHT_OFFSETS) {
+        if (onBoard(row + dr, col + dc) && board[row + dr][col + dc] === knight) return true;
+    }
+    
+    const king = colorPiece('k', byColor);
+    for (const [dr, dc] of KING_OFFSETS) {
+        if (onBoard(row + dr, col + dc) && board[row + dr][col + dc] === king) return true;
+    }
+    
+    const sliders = [
+        { dirs: ROOK_DIRS, pieces: [colorPiece('r', byColor), colorPiece('q', byColor)] },
+        { dirs: BISHOP_DIRS, pieces: [colorPiece('b', byColor), colorPiece('q', byColor)] }
+    ];
+    for (const { dirs, pieces } of sliders) {
+        for (const [dr, dc] of dirs) {
+            let r = row + dr, c = col + dc;
+            while (onBoard(r, c)) {
+                if (board[r][c]) {
+                    if (pieces.includes(board[r][c])) return true;
+                    break;
+                }
+                r += dr;
+                c += dc;
+            }
+        }
+    }
+    return false;
+}
+
+function isInCheck(board, color) {
+    const king = findKing(board, color);
+    if (!king) return false;
+    return isSquareAttacked(board, king.row, king.col, color === 'white' ? 'black' : 'white');
+}
+
+// Returns null if castling on this side is allowed, otherwise the reason it isn't
+function getCastlingError(game, color, side) {
+    const board = game.board;
+    const row = color === 'white' ? 7 : 0;
+    const right = color === 'white' ? side.toUpperCase() : side.toLowerCase();
+    const rookCol = side.toUpperCase() === 'K' ? 7 : 0;
+    const opponent = color === 'white' ? 'black' : 'white';
+    
+    if (!game.castling?.[right]) return 'Castling rights lost';
+    if (board[row][4] !== colorPiece('k', color) || board[row][rookCol] !== colorPiece('r', color)) {
+        return 'Castling rights lost';
+    }
+    const between = rookCol === 7 ? [5, 6] : [1, 2, 3];
+    if (between.some(c => board[row][c])) return 'Castling path is blocked';
+    // King may not castle out of, through or into check
+    const kingPath = rookCol === 7 ? [4, 5, 6] : [4, 3, 2];
+    if (kingPath.some(c => isSquareAttacked(board, row, c, opponent))) {
+        return 'Cannot castle out of or through check';
+    }
+    return null;
+}
+
+// Pseudo-legal moves for the piece on (row, col) - may leave own king in check
+function generatePieceMoves(game, row, col) {
+    const board = game.board;
+    const piece = board[row][col];
+    if (!piece) return [];
+    
+    const color = getPieceColor(piece);
+    const type = piece.toLowerCase();
+    const moves = [];
+    const add = (r, c, extra = {}) => moves.push({ from: { row, col }, to: { row: r, col: c }, piece, captured: board[r][c] || null, ...extra });
+    const canLand = (r, c) => onBoard(r, c) && getPieceColor(board[r][c]) !== color;
+    
+    if (type === 'p') {
+        const dir = color === 'white' ? -1 : 1;
+        const startRow = color === 'white' ? 6 : 1;
+        const lastRow = color === 'white' ? 0 : 7;
+        const addPawn = (r, c, extra) => {
+            if (r === lastRow) PROMOTION_PIECES.forEach(p => add(r, c, { ...extra, promotion: p }));
+            else add(r, c, extra);
+        };
+        
+        if (onBoard(row + dir, col) && !board[row + dir][col]) {
+            addPawn(row + dir, col);
+            if (row === startRow && !board[row + 2 * dir][col]) add(row + 2 * dir, col, { doublePush: true });
+        }
+        for (const dc of [-1, 1]) {
+            const r = row + dir, c = col + dc;
+            if (!onBoard(r, c)) continue;
+            const target = board[r][c];
+            if (target && getPieceColor(target) !== color) {
+                addPawn(r, c);
+            } else if (!target && game.enPassant?.row === r && game.enPassant?.col === c) {
+                add(r, c, { enPassant: true, captured: board[row][c] });
+            }
+        }
+    } else if (type === 'n' || type === 'k') {
+        const offsets = type === 'n' ? KNIGHT_OFFSETS : KING_OFFSETS;
+        for (const [dr, dc] of offsets) {
+            if (canLand(row + dr, col + dc)) add(row + dr, col + dc);
+        }
+        if (type === 'k') {
+            if (!getCastlingError(game, color, 'K')) add(row, 6, { castle: 'K' });
+            if (!getCastlingError(game, color, 'Q')) add(row, 2, { castle: 'Q' });
+        }
+    } else {
+        const dirs = type === 'r' ? ROOK_DIRS : type === 'b' ? BISHOP_DIRS : [...ROOK_DIRS, ...BISHOP_DIRS];
+        for (const [dr, dc] of dirs) {
+            let r = row + dr, c = col + dc;
+            while (onBoard(r, c)) {
+                if (board[r][c]) {
+                    if (getPieceColor(board[r][c]) !== color) add(r, c);
+                    break;
+                }
+                add(r, c);
+                r += dr;
+                c += dc;
+            }
+        }
+    }
+    return moves;
+}
+
+// Returns a new board with the move applied (handles castling, en passant, promotion)
+function applyMoveToBoard(board, move) {
+    const next = board.map(r => [...r]);
+    const { from, to } = move;
+    const color = getPieceColor(move.piece);
+    
+    next[to.row][to.col] = move.promotion ? colorPiece(move.promotion, color) : move.piece;
+    next[from.row][from.col] = '';
+    
+    if (move.enPassant) next[from.row][to.col] = '';
+    if (move.castle) {
+        const rookFrom = move.castle === 'K' ? 7 : 0;
+        const rookTo = move.castle === 'K' ? 5 : 3;
+        next[from.row][rookTo] = next[from.row][rookFrom];
+        next[from.row][rookFrom] = '';
+    }
+    return next;
+}
+
+function getLegalMoves(game, color) {
+    const legal = [];
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            if (getPieceColor(game.board[r][c]) !== color) continue;
+            for (const move of generatePieceMoves(game, r, c)) {
+                if (!isInCheck(applyMoveToBoard(game.board, move), color)) legal.push(move);
+            }
+        }
+    }
+    return legal;
+}
+
+// Explain why a piece can't reach the target square (used for error messages)
+function describeIllegalMove(game, from, to) {
+    const piece = game.board[from.row][from.col];
+    const color = getPieceColor(piece);
+    const type = piece.toLowerCase();
+    const dr = to.row - from.row, dc = to.col - from.col;
+    
+    if (getPieceColor(game.board[to.row][to.col]) === color) return 'Cannot capture your own piece';
+    if (type === 'k' && dr === 0 && Math.abs(dc) === 2) {
+        return getCastlingError(game, color, dc > 0 ? 'K' : 'Q') || 'Castling not allowed';
+    }
+    
+    const straight = dr === 0 || dc === 0;
+    const diagonal = Math.abs(dr) === Math.abs(dc);
+    const slides = (type === 'r' && straight) || (type === 'b' && diagonal) || (type === 'q' && (straight || diagonal));
+    if (slides) return 'Path is blocked';
+    
+    if (type === 'p') {
+        const dir = color === 'white' ? -1 : 1;
+        if (dc === 0 && (dr === dir || dr === 2 * dir)) return 'Path is blocked';
+        if (Math.abs(dc) === 1 && dr === dir) return 'Pawn can only move diagonally when capturing';
+    }
+    return `Illegal move for ${PIECE_NAMES[type]}`;
+}
+
+// Validate a move for the side to move. Returns { move } or { error }
+function validateChessMove(game, from, to, promotion) {
+    const piece = game.board[from.row][from.col];
+    if (!piece) return { error: 'No piece' };
+    
+    const color = getPieceColor(piece);
+    if (color !== game.currentTurn) return { error: 'Not your piece' };
+    if (from.row === to.row && from.col === to.col) return { error: 'Piece must move' };
+    
+    const candidates = generatePieceMoves(game, from.row, from.col)
+        .filter(m => m.to.row === to.row && m.to.col === to.col);
+    if (candidates.length === 0) return { error: describeIllegalMove(game, from, to) };
+    
+    let move = candidates[0];
+    if (move.promotion) {
+        const promoteTo = (promotion || 'q').toString().toLowerCase();
+        if (!PROMOTION_PIECES.includes(promoteTo)) return { error: 'Invalid promotion piece' };
+        move = candidates.find(m => m.promotion === promoteTo);
+    } else if (promotion) {
+        return { error: 'Promotion is only allowed when a pawn reaches the last rank' };
+    }
+    
+    if (isInCheck(applyMoveToBoard(game.board, move), color)) {
+        return { error: isInCheck(game.board, color) ? 'You must get out of check' : (piece.toLowerCase() === 'k' ? 'Cannot move into check' : 'Move would leave your king in check') };
+    }
+    return { move };
+}
+
+// Apply a validated move to the room, updating castling rights and en passant square
+function makeChessMove(room, move) {
+    room.board = applyMoveToBoard(room.board, move);
+    
+    const castling = room.castling || (room.castling = { K: false, Q: false, k: false, q: false });
+    const lose = (row, col) => {
+        if (row === 7 && col === 4) { castling.K = false; castling.Q = false; }
+        if (row === 0 && col === 4) { castling.k = false; castling.q = false; }
+        if (row === 7 && col === 7) castling.K = false;
+        if (row === 7 && col === 0) castling.Q = false;
+        if (row === 0 && col === 7) castling.k = false;
+        if (row === 0 && col === 0) castling.q = false;
+    };
+    // Moving from or capturing on a king/rook home square removes that right
+    lose(move.from.row, move.from.col);
+    lose(move.to.row, move.to.col);
+    
+    room.enPassant = move.doublePush ? { row: (move.from.row + move.to.row) / 2, col: move.from.col } : null;
+}
+
+// Position identity for repetition: placement, side to move, castling rights, en passant
+function getPositionKey(game) {
+    // En passant only counts if a capture is actually possible
+    const epCapturable = game.enPassant && getLegalMoves(game, game.currentTurn).some(m => m.enPassant);
+    return [
+        game.board.map(r => r.map(p => p || '.').join('')).join('/'),
+        game.currentTurn,
+        ['K', 'Q', 'k', 'q'].filter(right => game.castling?.[right]).join('') || '-',
+        epCapturable ? `${game.enPassant.row}${game.enPassant.col}` : '-'
+    ].join(' ');
+}
+
+function hasInsufficientMaterial(board) {
+    const minors = [];
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const type = board[r][c]?.toLowerCase();
+            if (!type || type === 'k') continue;
+            if (type === 'p' || type === 'r' || type === 'q') return false;
+            minors.push({ type, squareColor: (r + c) % 2 });
+        }
+    }
+    // K vs K, or K + single minor vs K
+    if (minors.length <= 1) return true;
+    // Only bishops left, all on the same square color
+    return minors.every(m => m.type === 'b' && m.squareColor === minors[0].squareColor);
+}
+
+// Check whether the side to move is mated, stalemated, or the position is a rule-based draw
+function getChessOutcome(room) {
+    const color = room.currentTurn;
+    if (getLegalMoves(room, color).length === 0) {
+        if (isInCheck(room.board, color)) {
+            return { winner: room.players.find(p => p.color !== color)?.id, termination: 'checkmate' };
+        }
+        return { winner: 'draw', termination: 'stalemate' };
+    }
+    if (hasInsufficientMaterial(room.board)) return { winner: 'draw', termination: 'insufficient_material' };
+    if ((room.halfmoveClock || 0) >= 100) return { winner: 'draw', termination: 'fifty_move_rule' };
+    
+    const key = room.positionHistory?.[room.positionHistory.length - 1];
+    if (key && room.positionHistory.filter(k => k === key).length >= 3) {
+        return { winner: 'draw', termination: 'threefold_repetition' };
+    }
+    return null;
+}
+
+// Finish a chess game - winner is a player id or 'draw'. Returns the payout promise
+function finishChessGame(room, winner, termination) {
+    cancelClock('chess', room.code);
+    room.status = 'finished';
+    room.finishedAt = Date.now();
+    room.winner = winner;
+    room.termination = termination;
+    
+    if (winner === 'draw') {
+        room.isDraw = true;
+        room.result = '1/2-1/2';
+        archivePgn(room);
+        publishGameOver(room);
+        console.log(`Draw (${termination}) in room ${room.code}`);
+        return handleDrawPayout(room);
+    }
+    
+    room.result = room.players[winner]?.color === 'white' ? '1-0' : '0-1';
+    archivePgn(room);
+    publishGameOver(room);
+    console.log(`Game over (${termination}) in room ${room.code} - winner: ${room.players[winner]?.name}`);
+    return handlePayout(room);
+}
+
+// Finish a tic-tac-toe or battleship game - winner is a player id or 'draw'. Returns the payout promise
+function finishGame(room, winner, termination = null) {
+    room.status = 'finished';
+    room.finishedAt = Date.now();
+    room.winner = winner;
+    room.termination = termination;
+    if (winner === 'draw') room.isDraw = true;
+    publishGameOver(room);
+    saveRooms();
+    
+    // Free games go through the payout handlers too - they rate the result and stop at the zero payout
+    return winner === 'draw' ? handleDrawPayout(room) : handlePayout(room);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MOVE HISTORY & PGN EXPORT
+// ═══════════════════════════════════════════════════════════════
+const FILES = 'abcdefgh';
+const PGN_ARCHIVE_MAX = 500;
+
+function squareName(row, col) {
+    return FILES[col] + (8 - row);
+}
+
+// Standard Algebraic Notation, computed before the move is applied (check suffix added by caller)
+function getSan(game, move) {
+    if (move.castle) return move.castle === 'K' ? 'O-O' : 'O-O-O';
+    
+    const type = move.piece.toLowerCase();
+    const dest = squareName(move.to.row, move.to.col);
+    const capture = move.captured ? 'x' : '';
+    
+    if (type === 'p') {
+        const promo = move.promotion ? '=' + move.promotion.toUpperCase() : '';
+        return (capture ? FILES[move.from.col] + 'x' : '') + dest + promo;
+    }
+    
+    // Disambiguate between identical pieces that can reach the same square
+    const rivals = getLegalMoves(game, getPieceColor(move.piece)).filter(m =>
+        m.piece === move.piece && m.to.row === move.to.row && m.to.col === move.to.col &&
+        (m.from.row !== move.from.row || m.from.col !== move.from.col));
+    let disambiguation = '';
+    if (rivals.length > 0) {
+        if (!rivals.some(m => m.from.col === move.from.col)) disambiguation = FILES[move.from.col];
+        else if (!rivals.some(m => m.from.row === move.from.row)) disambiguation = String(8 - move.from.row);
+        else disambiguation = squareName(move.from.row, move.from.col);
+    }
+    return type.toUpperCase() + disambiguation + capture + dest;
+}
+
+function formatPgnClock(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+function buildPgn(room) {
+    const white = room.players.find(p => p.color === 'white');
+    const black = room.players.find(p => p.color === 'black');
+    const result = room.result || '*';
+    const tag = (name, value) => `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+    
+    const headers = [
+        tag('Event', room.isFreeGame ? 'GG Fun Arena - Free Game' : 'GG Fun Arena - Staked Game'),
+        tag('Site', `https://ggfun.lol?room=${room.code}`),
+        tag('Date', new Date(room.createdAt).toISOString().slice(0, 10).replace(/-/g, '.')),
+        tag('Round', '-'),
+        tag('White', white?.wallet ? getUsername(white.wallet) : '?'),
+        tag('Black', black?.wallet ? getUsername(black.wallet) : '?'),
+        tag('Result', result),
+        tag('WhiteWallet', white?.wallet || '?'),
+        tag('BlackWallet', black?.wallet || '?'),
+        tag('Stake', room.isFreeGame ? 'Free' : `${room.tokenAmount} ${getCurrency(room).symbol}`),
+        tag('StakeUsd', room.entryFeeUsd),
+        tag('TimeControl', room.timeControl
+            ? `${room.timeControl.initialMs / 1000}+${room.timeControl.incrementMs / 1000}`
+            : String(GAME_TIME_MS / 1000))
+    ];
+    if (room.termination) {
+        const pgnTermination = { timeout: 'time forfeit', admin: 'adjudication' }[room.termination] || 'normal';
+        headers.push(tag('Termination', pgnTermination));
+    }
+    
+    const tokens = [];
+    (room.moves || []).forEach((m, i) => {
+        if (i % 2 === 0) tokens.push(`${i / 2 + 1}.`);
+        tokens.push(m.san);
+        if (m.clockMs !== undefined) tokens.push(`{[%clk ${formatPgnClock(m.clockMs)}]}`);
+    });
+    tokens.push(result);
+    
+    // PGN export format wraps movetext at 80 columns
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > 80) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+    
+    return `${headers.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+// Keep the PGN of finished games after the room itself is cleaned up
+function archivePgn(room) {
+    pgnArchive.delete(room.code);
+    pgnArchive.set(room.code, buildPgn(room));
+    while (pgnArchive.size > PGN_ARCHIVE_MAX) {
+        pgnArchive.delete(pgnArchive.keys().next().value);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MOVE
+// ═══════════════════════════════════════════════════════════════
+app.post('/api/rooms/:code/move', (req, res) => {
+    try {
+        const { playerId, from, to, promotion } = req.body;
+        
+        // Validate inputs
+        if (playerId === undefined || playerId === null) return res.status(400).json({ error: 'Missing player ID' });
+        if (!from || from.row === undefined || from.col === undefined) return res.status(400).json({ error: 'Invalid from position' });
+        if (!to || to.row === undefined || to.col === undefined) return res.status(400).json({ error: 'Invalid to position' });
+        if (![from.row, from.col, to.row, to.col].every(Number.isInteger)) return res.status(400).json({ error: 'Positions must be integers' });
+        if (from.row < 0 || from.row > 7 || from.col < 0 || from.col > 7) return res.status(400).json({ error: 'From position out of bounds' });
+        if (to.row < 0 || to.row > 7 || to.col < 0 || to.col > 7) return res.status(400).json({ error: 'To position out of bounds' });
+        
+        const code = req.params.code?.toUpperCase();
+        const room = rooms.get(code);
+        if (!room) return res.status(404).json({ error: 'Room not found' });
+        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
+        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
+        if (!room.board) return res.status(500).json({ error: 'Invalid game state' });
+        
+        updateTimer(room);
+        if (room.winner !== null) {
+            return res.json({ success: true, board: room.board, gameOver: true, winner: room.winner, timeout: true });
+        }
+        
+        const seat = authorizeSeat(room, playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        const { player } = seat;
+        if (player.color !== room.currentTurn) return res.status(400).json({ error: 'Not your turn' });
+    
+    const { move, error } = validateChessMove(room, from, to, promotion);
+    if (error) return res.status(400).json({ error });
+    
+    const san = getSan(room, move);
+    makeChessMove(room, move);
+    room.lastMove = {
+        from: move.from,
+        to: move.to,
+        piece: move.piece,
+        captured: move.captured,
+        promotion: move.promotion || null,
+        castle: move.castle || null,
+        enPassant: move.enPassant || false
+    };
+    room.lastMoveTime = Date.now();
+    // Fischer increment for the mover, fresh delay for the opponent
+    const incrementMs = room.timeControl?.incrementMs || 0;
+    if (player.color === 'white') room.whiteTimeMs += incrementMs;
+    else room.blackTimeMs += incrementMs;
+    room.delayRemainingMs = room.timeControl?.delayMs || 0;
+    // Fifty-move rule counter resets on pawn moves and captures
+    room.halfmoveClock = move.piece.toLowerCase() === 'p' || move.captured ? 0 : (room.halfmoveClock || 0) + 1;
+    
+    console.log('Move:', room.code, player.color, `${from.row},${from.col} -> ${to.row},${to.col}`);
+    
+    room.currentTurn = room.currentTurn === 'white' ? 'black' : 'white';
+    if (!room.positionHistory) room.positionHistory = [];
+    room.positionHistory.push(getPositionKey(room));
+    const inCheck = isInCheck(room.board, room.currentTurn);
+    const outcome = getChessOutcome(room);
+    
+    if (!room.moves) room.moves = [];
+    room.moves.push({
+        ply: room.moves.length + 1,
+        san: san + (outcome?.termination === 'checkmate' ? '#' : inCheck ? '+' : ''),
+        color: player.color,
+        from: move.from,
+        to: move.to,
+        timestamp: room.lastMoveTime,
+        clockMs: player.color === 'white' ? room.whiteTimeMs : room.blackTimeMs
+    });
+    publishRoomEvent(room, 'move', {
+        playerId: player.id, color: player.color, san: room.moves[room.moves.length - 1].san,
+        lastMove: room.lastMove, board: room.board, currentTurn: room.currentTurn, inCheck,
+        whiteTimeMs: room.whiteTimeMs, blackTimeMs: room.blackTimeMs, delayRemainingMs: room.delayRemainingMs
+    });
+    
+    if (outcome) {
+        finishChessGame(room, outcome.winner, outcome.termination).catch(e => console.error('Move payout error:', e.message));
+        return res.json({
+            success: true, board: room.board, lastMove: room.lastMove, inCheck,
+            gameOver: true, winner: room.winner, isDraw: room.isDraw || false,
+            result: room.result, termination: room.termination
+        });
+    }
+    
+    scheduleClock('chess', room);
+    saveRooms();
+    res.json({ 
+        success: true, board: room.board, currentTurn: room.currentTurn, lastMove: room.lastMove, inCheck,
+        whiteTimeMs: room.whiteTimeMs, blackTimeMs: room.blackTimeMs
+    });
+    } catch (e) {
+        console.error('Move error:', e.message);
+        res.status(500).json({ error: 'Failed to process move' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// RESIGN - Player forfeits and pays 10% penalty to opponent
+// ═══════════════════════════════════════════════════════════════
+app.post('/api/rooms/:code/resign', async (req, res) => {
+    try {
+        const { playerId } = req.body;
+        const code = req.params.code?.toUpperCase();
+        const room = rooms.get(code);
+        
+        if (!room) return res.status(404).json({ error: 'Room not found' });
+        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
+        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
+        if (playerId === undefined || playerId === null) return res.status(400).json({ error: 'Missing player ID' });
+        
+        const seat = authorizeSeat(room, playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        const resigningPlayer = seat.player;
+        
+        // The other player wins
+        const winnerId = resigningPlayer.id === 0 ? 1 : 0;
+        room.resignedBy = resigningPlayer.id;
+        
+        console.log(`Player ${resigningPlayer.name} resigned in room ${code}`);
+        
+        // Handle payout - winner gets full prize, resigner pays 10% penalty
+        await finishChessGame(room, winnerId, 'resignation');
+        
+        res.json({ success: true, gameOver: true, winner: winnerId, resigned: true, result: room.result, termination: room.termination });
+    } catch (e) {
+        console.error('Resign error:', e.message);
+        res.status(500).json({ error: 'Failed to process resignation' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DRAW - Both players agree to draw, each gets their money back minus 5% fee
+// ═══════════════════════════════════════════════════════════════
+app.post('/api/rooms/:code/draw-offer', (req, res) => {
+    try {
+        const { playerId } = req.body;
+        const code = req.params.code?.toUpperCase();
+        const room = rooms.get(code);
+        
+        if (!room) return res.status(404).json({ error: 'Room not found' });
+        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
+        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
+        
+        const seat = authorizeSeat(room, playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        const { player } = seat;
+        
+        room.drawOfferedBy = player.id;
+        room.drawOfferedAt = Date.now();
+        
+        console.log(`Draw offered by ${player.name} in room ${code}`);
+        publishRoomEvent(room, 'draw_offer', { playerId: player.id, expiresAt: room.drawOfferedAt + 30000 });
+        saveRooms();
+        res.json({ success: true, message: 'Draw offer sent' });
+    } catch (e) {
+        console.error('Draw offer error:', e.message);
+        res.status(500).json({ error: 'Failed to offer draw' });
+    }
+});
+
+app.post('/api/rooms/:code/draw-accept', async (req, res) => {
+    try {
+        const { playerId } = req.body;
+        const code = req.params.code?.toUpperCase();
+        const room = rooms.get(code);
+        
+        if (!room) return res.status(404).json({ error: 'Room not found' });
+        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
+        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
+        if (room.drawOfferedBy === undefined) return res.status(400).json({ error: 'No draw offer pending' });
+        const seat = authorizeSeat(room, playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        if (room.drawOfferedBy === seat.player.id) return res.status(400).json({ error: 'Cannot accept your own draw offer' });
+        
+        // Draw expired after 30 seconds
+        if (Date.now() - room.drawOfferedAt > 30000) {
+            room.drawOfferedBy = undefined;
+            return res.status(400).json({ error: 'Draw offer expired' });
+        }
+        
+        console.log(`Draw accepted in room ${code}`);
+        
+        // Handle draw payout - each player gets back their entry minus 5% fee
+        await finishChessGame(room, 'draw', 'agreement');
+        
+        res.json({ success: true, gameOver: true, isDraw: true, result: room.result, termination: room.termination });
+    } catch (e) {
+        console.error('Draw accept error:', e.message);
+        res.status(500).json({ error: 'Failed to accept draw' });
+    }
+});
+
+app.post('/api/rooms/:code/draw-decline', (req, res) => {
+    try {
+        const code = req.params.code?.toUpperCase();
+        const room = rooms.get(code);
+        
+        if (!room) return res.status(404).json({ error: 'Room not found' });
+        const seat = authorizeSeat(room, req.body.playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        
+        room.drawOfferedBy = undefined;
+        room.drawOfferedAt = undefined;
+        publishRoomEvent(room, 'draw_declined', { playerId: seat.player.id });
+        saveRooms();
+        
+        res.json({ success: true, message: 'Draw declined' });
+    } catch (e) {
+        res.status(500).json({ error: 'Failed to decline draw' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PAYOUT - Send tokens to winner
+// ═══════════════════════════════════════════════════════════════
+async function handleDrawPayout(room) {
+    // Payouts are idempotent per room - a second call is a no-op
+    if (room.payoutStartedAt) return [];
+    room.payoutStartedAt = Date.now();
+    saveRooms();
+    recordDraw(room);
+    
+    // Each player gets back 95% of their entry (5% fee total)
+    const refundRaw = applyRate(getStakeRaw(room), 0.95, room.currency);
+    if (refundRaw <= 0n) return []; // Free game
+    
+    const recipients = room.players.filter(player => player?.wallet);
+    recordCommissionEntry(room, refundRaw * BigInt(recipients.length));
+    return recipients.map(player => enqueuePayout(room, { kind: 'draw_refund', recipient: player.wallet, recipientName: player.name, amountRaw: refundRaw }));
+}
+
+async function handlePayout(room) {
+    // Payouts are idempotent per room - a second call is a no-op
+    if (room.payoutStartedAt) return null;
+    room.payoutStartedAt = Date.now();
+    saveRooms();
+    
+    const winner = room.players[room.winner];
+    const loser = room.players.find(p => p.id !== room.winner);
+    
+    // Record match in history
+    if (winner?.wallet && loser?.wallet) {
+        recordMatch(room, winner.wallet, loser.wallet);
+    }
+    
+    if (!winner?.wallet) return null;
+    
+    // Winner gets: (tokenAmount * 2) - 10% commission
+    const payoutRaw = applyRate(getStakeRaw(room) * 2n, 1 - COMMISSION_RATE, room.currency);
+    if (payoutRaw <= 0n) return null; // Free game
+    
+    room.payoutAmount = fromRawAmount(payoutRaw, room.currency);
+    recordCommissionEntry(room, payoutRaw);
+    return enqueuePayout(room, { kind: 'payout', recipient: winner.wallet, recipientName: winner.name, amountRaw: payoutRaw });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PAYOUT QUEUE - Durable token transfers with retries & confirmation
+// ═══════════════════════════════════════════════════════════════
+const PAYOUT_MAX_ATTEMPTS = 5;
+const PAYOUT_POLL_MS = 5000;
+const PAYOUT_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Keep settled jobs for a week
+const payoutJobs = new Map(); // jobId -> job (persisted with live rooms)
+let payoutWorkerBusy = false;
+const tokenAccountRentLamports = new Map(); // currency -> lamports
+
+// Rent-exempt minimum for a token account of the currency's mint (size depends on the mint's extensions)
+async function getTokenAccountRent(currency) {
+    if (!tokenAccountRentLamports.has(currency.key)) {
+        const mint = await getMint(connection, currency.mint, 'confirmed', currency.programId);
+        tokenAccountRentLamports.set(currency.key, await connection.getMinimumBalanceForRentExemption(getAccountLenForMint(mint)));
+    }
+    return tokenAccountRentLamports.get(currency.key);
+}
+
+// Unsigned transfer of amountRaw from the house wallet (blockhash is set per attempt).
+// Returns { tx, ataRentLamports } - rent is non-zero when the recipient's ATA has to be created
+async function buildTokenTransferTx(recipientWallet, amountRaw, currencyKey) {
+    const currency = getCurrency(currencyKey);
+    const recipient = new PublicKey(recipientWallet);
+    const tx = new Transaction();
+    tx.feePayer = wallet.publicKey;
+    
+    if (!currency.mint) {
+        tx.add(SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: recipient, lamports: BigInt(amountRaw) }));
+        return { tx, ataRentLamports: 0 };
+    }
+    
+    const senderATA = await getAssociatedTokenAddress(currency.mint, wallet.publicKey, false, currency.programId);
+    const recipientATA = await getAssociatedTokenAddress(currency.mint, recipient, false, currency.programId);
+    
+    // Fresh wallets have no token account yet - create it, paid by the house wallet
+    let ataRentLamports = 0;
+    if (!(await connection.getAccountInfo(recipientATA))) {
+        ataRentLamports = await getTokenAccountRent(currency);
+        tx.add(createAssociatedTokenAccountIdempotentInstruction(
+            wallet.publicKey,
+            recipientATA,
+            recipient,
+            currency.mint,
+            currency.programId
+        ));
+    }
+    
+    tx.add(createTransferCheckedInstruction(
+        senderATA,
+        currency.mint,
+        recipientATA,
+        wallet.publicKey,
+        BigInt(amountRaw),
+        currency.decimals,
+        [],
+        currency.programId
+    ));
+    return { tx, ataRentLamports };
+}
+
+// Queue a room payout. Job ids are deterministic per room/kind/recipient, so enqueuing twice is a no-op.
+// Seats paid from the in-app balance are credited back there instead of on-chain
+function enqueuePayout(room, { kind, recipient, recipientName, amountRaw }) {
+    const id = `${room.code}-${room.createdAt}:${kind}:${recipient}`;
+    if (payoutJobs.has(id)) return payoutJobs.get(id);
+    
+    const job = createPayoutJob({
+        id,
+        roomCode: room.code,
+        gameType: room.gameType || 'chess',
+        kind,
+        recipient,
+        recipientName,
+        currency: getCurrency(room).key,
+        amountRaw
+    });
+    if (!room.payoutJobIds) room.payoutJobIds = [];
+    room.payoutJobIds.push(id);
+    
+    if (room.players.some(p => p?.wallet === recipient && p.paidFromBalance)) {
+        creditPayoutToBalance(job);
+    } else {
+        flushRooms().then(processPayoutQueue);
+    }
+    return job;
+}
+
+function createPayoutJob({ id, roomCode, gameType, kind, recipient, recipientName, currency, amountRaw }) {
+    const amount = fromRawAmount(amountRaw, currency);
+    const job = {
+        id,
+        roomCode,              // null for withdrawals
+        gameType,
+        kind,                  // payout | draw_refund | refund | payment_refund | withdrawal
+        method: 'onchain',     // onchain | balance (credited to the in-app balance)
+        recipient,
+        recipientName,
+        currency,
+        amountRaw: String(amountRaw), // Smallest units
+        amount,                // In currency units, for display
+        status: 'pending',     // pending -> confirming -> confirmed | failed
+        attempts: 0,
+        signatures: [],        // Every signed attempt: { signature, lastValidBlockHeight, ataRentLamports, sentAt, rejected? }
+        signature: null,       // The one that landed
+        ataRentLamports: 0,    // Rent paid to create the recipient's token account
+        lastError: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        confirmedAt: null
+    };
+    payoutJobs.set(id, job);
+    
+    console.log(`Payout queued: ${amount} ${getCurrency(currency).symbol} to ${recipientName} (${kind})${roomCode ? ' - room ' + roomCode : ''}`);
+    return job;
+}
+
+// Jobs queued before multi-currency stakes only carry whole $GGFUN tokens
+function getJobAmountRaw(job) {
+    return job.amountRaw ? BigInt(job.amountRaw) : toRawAmount(job.amount, job.currency);
+}
+
+function summarizePayoutJob(job) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        method: job.method || 'onchain',
+        recipient: job.recipientName,
+        currency: getCurrency(job.currency).key,
+        amount: job.amount,
+        status: job.status,
+        attempts: job.attempts,
+        signature: job.signature,
+        ataRentLamports: job.ataRentLamports || 0,
+        lastError: job.lastError,
+        confirmedAt: job.confirmedAt
+    };
+}
+
+function getRoomPayouts(room) {
+    return (room.payoutJobIds || [])
+        .map(id => payoutJobs.get(id))
+        .filter(Boolean)
+        .map(summarizePayoutJob);
+}
+
+function hasUnsettledPayouts(room) {
+    return (room.payoutJobIds || []).some(id => ['pending', 'confirming'].includes(payoutJobs.get(id)?.status));
+}
+
+// Mirror the job outcome onto the room's payout proof fields
+function applyPayoutResult(job) {
+    if (job.kind === 'withdrawal') return settleWithdrawal(job);
+    const room = PAYMENT_GAMES[job.gameType]?.getRooms().get(job.roomCode);
+    if (!room) return;
+    
+    if (job.status === 'confirmed' && job.ataRentLamports) {
+        room.payoutRentLamports = (room.payoutRentLamports || 0) + job.ataRentLamports;
+    }
+    
+    if (job.status === 'confirmed' && job.kind === 'payout') {
+        room.payoutTx = job.signature;
+        room.payoutAmount = job.amount;
+        room.payoutTime = job.confirmedAt;
+        room.payoutError = null;
+    } else if (job.status === 'confirmed' && job.kind === 'draw_refund') {
+        if (!room.drawPayoutTx) room.drawPayoutTx = [];
+        room.drawPayoutTx.push({ player: job.recipientName, tx: job.signature, amount: job.amount });
+    } else if (job.status === 'confirmed' && job.kind === 'refund') {
+        if (!room.refundTx) room.refundTx = [];
+        room.refundTx.push({ player: job.recipientName, tx: job.signature, amount: job.amount });
+    } else if (job.status === 'failed') {
+        room.payoutError = job.lastError;
+    }
+    publishRoomEvent(room, 'payout', { payout: summarizePayoutJob(job) });
+}
+
+async function processPayoutJob(job) {
+    const now = Date.now();
+    
+    if (job.signatures.length > 0) {
+        const sent = job.signatures.filter(s => !s.rejected);
+        const { value: statuses } = sent.length > 0
+            ? await connection.getSignatureStatuses(sent.map(s => s.signature), { searchTransactionHistory: true })
+            : { value: [] };
+        
+        const landed = statuses.findIndex(st => st && !st.err && ['confirmed', 'finalized'].includes(st.confirmationStatus));
+        if (landed >= 0) {
+            job.status = 'confirmed';
+            job.signature = sent[landed].signature;
+            job.ataRentLamports = sent[landed].ataRentLamports || 0;
+            job.confirmedAt = now;
+            job.lastError = null;
+            console.log(`Payout confirmed: ${job.amount} ${getCurrency(job.currency).symbol} to ${job.recipientName} (${job.kind}), tx: ${job.signature}`);
+            recordPayoutEntry(job);
+            applyPayoutResult(job);
+            return;
+        }
+        
+        // Only the latest attempt can still be in flight - it may land until its blockhash expires
+        const latest = job.signatures[job.signatures.length - 1];
+        const latestStatus = latest.rejected ? null : statuses[sent.indexOf(latest)];
+        if (latestStatus?.err) {
+            job.lastError = `Transaction failed: ${JSON.stringify(latestStatus.err)}`;
+        } else if (!latest.rejected) {
+            const blockHeight = await connection.getBlockHeight('confirmed');
+            if (blockHeight <= latest.lastValidBlockHeight) {
+                job.nextAttemptAt = now + PAYOUT_POLL_MS;
+                return;
+            }
+            job.lastError = 'Transaction expired before confirmation';
+        }
+    }
+    
+    if (job.attempts >= PAYOUT_MAX_ATTEMPTS) {
+        job.status = 'failed';
+        console.error(`Payout job ${job.id} failed after ${job.attempts} attempts: ${job.lastError}`);
+        applyPayoutResult(job);
+        return;
+    }
+    
+    // Fresh blockhash on every attempt
+    job.attempts++;
+    const { tx, ataRentLamports } = await buildTokenTransferTx(job.recipient, getJobAmountRaw(job), job.currency);
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    tx.recentBlockhash = blockhash;
+    tx.sign(wallet);
+    
+    // Record the signature before sending so a crash can never lead to a blind resend
+    const attempt = { signature: bs58.encode(tx.signature), lastValidBlockHeight, ataRentLamports, sentAt: now };
+    job.signatures.push(attempt);
+    job.status = 'confirming';
+    await flushRooms();
+    
+    try {
+        await connection.sendRawTransaction(tx.serialize());
+        console.log(`Payout sent (attempt ${job.attempts}): ${job.amount} ${getCurrency(job.currency).symbol} to ${job.recipientName}, tx: ${attempt.signature}`);
+    } catch (e) {
+        // Preflight failures never reach the cluster - no need to wait for expiry before retrying
+        if (/simulation failed|preflight/i.test(e.message)) attempt.rejected = true;
+        throw e;
+    }
+    job.nextAttemptAt = now + PAYOUT_POLL_MS;
+}
+
+async function processPayoutQueue() {
+    if (payoutWorkerBusy || !wallet) return;
+    payoutWorkerBusy = true;
+    try {
+        for (const job of payoutJobs.values()) {
+            if (!['pending', 'confirming'].includes(job.status) || job.nextAttemptAt > Date.now()) continue;
+            try {
+                await processPayoutJob(job);
+            } catch (e) {
+                console.error(`Payout job ${job.id} error:`, e.message);
+                job.lastError = e.message;
+                job.nextAttemptAt = Date.now() + Math.min(PAYOUT_POLL_MS * 2 ** job.attempts, 5 * 60 * 1000);
+            }
+            job.updatedAt = Date.now();
+            saveRooms();
+        }
+    } finally {
+        payoutWorkerBusy = false;
+    }
+}
+
+setInterval(processPayoutQueue, PAYOUT_POLL_MS);
+
+// Drop settled jobs after the retention period
+setInterval(() => {
+    const cutoff = Date.now() - PAYOUT_JOB_RETENTION_MS;
+    for (const [id, job] of payoutJobs.entries()) {
+        if (job.status === 'confirmed' && job.updatedAt < cutoff) payoutJobs.delete(id);
+    }
+}, 60 * 60 * 1000);
+
+// Admin: list payout jobs (?status=pending|confirming|confirmed|failed)
+app.get('/api/admin/payouts', requireAdmin, (req, res) => {
+    const { status } = req.query;
+    const jobs = Array.from(payoutJobs.values())
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, 200);
+    
+    // Fee accounting: SOL the house spent creating recipient token accounts
+    const confirmed = Array.from(payoutJobs.values()).filter(job => job.status === 'confirmed');
+    const ataRentLamports = confirmed.reduce((sum, job) => sum + (job.ataRentLamports || 0), 0);
+    res.json({
+        success: true,
+        payouts: jobs,
+        fees: {
+            ataAccountsCreated: confirmed.filter(job => job.ataRentLamports > 0).length,
+            ataRentLamports,
+            ataRentSol: ataRentLamports / LAMPORTS_PER_SOL
+        }
+    });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ESCROW LEDGER - Double-entry record of every token movement
+// Accounts: house (asset - the house account), escrow (stakes held for games),
+// balances (in-app balances owed to players), commission (house earnings).
+// Kept per currency: house = escrow + balances + commission when balanced.
+// ═══════════════════════════════════════════════════════════════
+const LEDGER_ACCOUNTS = ['house', 'escrow', 'balances', 'commission'];
+const LEDGER_MAX_ENTRIES = 10000;
+const ledgerEntryIds = new Set();
+
+// Entry ids are deterministic per event, so recording twice is a no-op
+function recordLedgerEntry({ id, type, debit, credit, amountRaw, room, currency = getCurrency(room).key, wallet = null, tx = null }) {
+    if (ledgerEntryIds.has(id) || BigInt(amountRaw) <= 0n) return null;
+    
+    const entry = {
+        id,
+        type,                  // deposit | entry_fee | payout | draw_refund | refund | payment_refund | withdrawal | commission
+        debit,
+        credit,
+        amountRaw: String(amountRaw),
+        currency,
+        gameType: room ? room.gameType || 'chess' : null,
+        roomCode: room?.code || null,
+        wallet,
+        tx,
+        createdAt: Date.now()
+    };
+    ledger.push(entry);
+    ledgerEntryIds.add(id);
+    if (ledger.length > LEDGER_MAX_ENTRIES) rotateLedger();
+    queueSaveData();
+    return entry;
+}
+
+// Escrow held per room is tracked under "gameType:roomCode:currency"
+function getEscrowKey(entry) {
+    return `${entry.gameType}:${entry.roomCode}:${entry.currency || DEFAULT_CURRENCY}`;
+}
+
+function getEscrowDelta(entry) {
+    return entry.credit === 'escrow' ? BigInt(entry.amountRaw) : entry.debit === 'escrow' ? -BigInt(entry.amountRaw) : 0n;
+}
+
+// Fold the oldest entries into ledgerCarry, so balances and open escrow stay exact while only the
+// newest LEDGER_MAX_ENTRIES are kept. Their ids are forgotten too - those events are long settled
+function rotateLedger() {
+    const rotated = ledger.splice(0, ledger.length - LEDGER_MAX_ENTRIES);
+    for (const entry of rotated) {
+        ledgerEntryIds.delete(entry.id);
+        const currencyKey = entry.currency || DEFAULT_CURRENCY;
+        const net = ledgerCarry.balances[currencyKey] || (ledgerCarry.balances[currencyKey] = {});
+        net[entry.debit] = (BigInt(net[entry.debit] || 0) + BigInt(entry.amountRaw)).toString();
+        net[entry.credit] = (BigInt(net[entry.credit] || 0) - BigInt(entry.amountRaw)).toString();
+        
+        const delta = getEscrowDelta(entry);
+        if (!entry.roomCode || delta === 0n) continue;
+        const key = getEscrowKey(entry);
+        const held = BigInt(ledgerCarry.escrowByRoom[key] || 0) + delta;
+        if (held === 0n) delete ledgerCarry.escrowByRoom[key];
+        else ledgerCarry.escrowByRoom[key] = held.toString();
+    }
+    console.log(`Ledger rotated: ${rotated.length} entries folded into the carried balances`);
+}
+
+// Verified entry fee: tokens arrive in the house ATA (or leave the player's balance) and are held in escrow
+function recordDepositEntry(room, player) {
+    if (player.paidFromBalance) {
+        return recordLedgerEntry({
+            id: `entry_fee:${room.code}-${room.createdAt}:${player.id}`,
+            type: 'entry_fee',
+            debit: 'balances',
+            credit: 'escrow',
+            amountRaw: player.paidAmountRaw,
+            room,
+            wallet: player.wallet
+        });
+    }
+    return recordLedgerEntry({
+        id: `deposit:${player.paymentTx}`,
+        type: 'deposit',
+        debit: 'house',
+        credit: 'escrow',
+        amountRaw: player.paidAmountRaw || getStakeRaw(room),
+        room,
+        wallet: player.wallet,
+        tx: player.paymentTx
+    });
+}
+
+// Confirmed payout job: tokens leave escrow (or a balance, for withdrawals) and go out of
+// the house account - or into the winner's balance when the job was credited internally
+function recordPayoutEntry(job) {
+    return recordLedgerEntry({
+        id: `${job.kind}:${job.id}`,
+        type: job.kind,
+        debit: job.kind === 'withdrawal' ? 'balances' : 'escrow',
+        credit: job.method === 'balance' ? 'balances' : 'house',
+        amountRaw: getJobAmountRaw(job),
+        room: job.roomCode ? { code: job.roomCode, gameType: job.gameType } : null,
+        currency: getCurrency(job.currency).key,
+        wallet: job.recipient,
+        tx: job.signature
+    });
+}
+
+// Once a game is settled, whatever the payouts don't return is commission
+function recordCommissionEntry(room, paidOutRaw) {
+    const depositedRaw = room.players
+        .filter(p => p?.paid)
+        .reduce((sum, p) => sum + BigInt(p.paidAmountRaw || getStakeRaw(room)), 0n);
+    return recordLedgerEntry({
+        id: `commission:${room.code}-${room.createdAt}`,
+        type: 'commission',
+        debit: 'escrow',
+        credit: 'commission',
+        amountRaw: depositedRaw - paidOutRaw,
+        room
+    });
+}
+
+// Balances of one currency in raw units, each on its normal side (house is debit-normal, the rest credit-normal)
+function getLedgerBalances(currencyKey) {
+    const carried = ledgerCarry.balances[currencyKey] || {};
+    const net = Object.fromEntries(LEDGER_ACCOUNTS.map(account => [account, BigInt(carried[account] || 0)]));
+    for (const entry of ledger) {
+        if ((entry.currency || DEFAULT_CURRENCY) !== currencyKey) continue;
+        net[entry.debit] += BigInt(entry.amountRaw);
+        net[entry.credit] -= BigInt(entry.amountRaw);
+    }
+    return { house: net.house, escrow: -net.escrow, balances: -net.balances, commission: -net.commission };
+}
+
+function formatLedgerBalances(balances, currencyKey) {
+    return Object.fromEntries(Object.entries(balances).map(([account, raw]) => [
+        account,
+        { amountRaw: raw.toString(), amount: fromRawAmount(raw, currencyKey) }
+    ]));
+}
+
+// Currencies with ledger activity plus the ones rooms can currently be created with
+function getLedgerCurrencies() {
+    return Array.from(new Set([
+        ...Object.keys(STAKE_CURRENCIES),
+        ...Object.keys(ledgerCarry.balances),
+        ...ledger.map(entry => entry.currency || DEFAULT_CURRENCY)
+    ]));
+}
+
+// Admin: ledger entries (?currency=&roomCode=&type=&wallet=&limit=) with balances per currency
+app.get('/api/admin/ledger', requireAdmin, (req, res) => {
+    const { currency, roomCode, type, wallet: walletFilter } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+    const entries = ledger.filter(entry =>
+        (!currency || (entry.currency || DEFAULT_CURRENCY) === String(currency).toUpperCase()) &&
+        (!roomCode || entry.roomCode === String(roomCode).toUpperCase()) &&
+        (!type || entry.type === type) &&
+        (!walletFilter || entry.wallet === walletFilter)
+    );
+    
+    res.json({
+        success: true,
+        balances: Object.fromEntries(getLedgerCurrencies().map(key => [key, formatLedgerBalances(getLedgerBalances(key), key)])),
+        total: entries.length,
+        entries: entries.slice(-limit).reverse()
+    });
+});
+
+// What the house actually holds in a currency, in raw units
+async function getHouseOnChainBalance(currencyKey) {
+    const houseAccount = await getHouseTokenAccount(currencyKey);
+    if (!getCurrency(currencyKey).mint) return BigInt(await connection.getBalance(houseAccount, 'confirmed'));
+    try {
+        const { value } = await connection.getTokenAccountBalance(houseAccount);
+        return BigInt(value.amount);
+    } catch (e) {
+        // The house ATA only exists once the first entry fee arrives
+        if (!/could not find account|Invalid param/i.test(e.message)) throw e;
+        return 0n;
+    }
+}
+
+// Admin: compare the ledger with what the house accounts actually hold, per currency.
+// SOL also pays transaction fees and rent, so its house balance normally shows a surplus
+app.get('/api/admin/ledger/reconciliation', requireAdmin, async (req, res) => {
+    try {
+        if (!WALLET_ADDRESS) return res.status(500).json({ error: 'House wallet not configured' });
+        
+        const currencies = [];
+        for (const key of getLedgerCurrencies()) {
+            const balances = getLedgerBalances(key);
+            const onChainRaw = await getHouseOnChainBalance(key);
+            const differenceRaw = onChainRaw - balances.house;
+            currencies.push({
+                currency: key,
+                symbol: getCurrency(key).symbol,
+                houseAccount: (await getHouseTokenAccount(key)).toString(),
+                onChain: { amountRaw: onChainRaw.toString(), amount: fromRawAmount(onChainRaw, key) },
+                ledger: formatLedgerBalances(balances, key),
+                difference: { amountRaw: differenceRaw.toString(), amount: fromRawAmount(differenceRaw, key) },
+                // surplus = tokens the ledger doesn't know about, shortfall = tokens missing from the house account
+                status: differenceRaw === 0n ? 'balanced' : differenceRaw > 0n ? 'surplus' : 'shortfall'
+            });
+        }
+        
+        // Escrow still held per room - live games and unsettled payouts
+        const escrowByRoom = new Map(Object.entries(ledgerCarry.escrowByRoom).map(([key, raw]) => [key, BigInt(raw)]));
+        for (const entry of ledger) {
+            if (!entry.roomCode) continue;
+            const key = getEscrowKey(entry);
+            escrowByRoom.set(key, (escrowByRoom.get(key) || 0n) + getEscrowDelta(entry));
+        }
+        const openEscrow = Array.from(escrowByRoom.entries())
+            .filter(([, raw]) => raw !== 0n)
+            .map(([key, raw]) => {
+                const [gameType, roomCode, currency] = key.split(':');
+                const room = PAYMENT_GAMES[gameType]?.getRooms().get(roomCode);
+                return { gameType, roomCode, currency, status: room?.status || 'deleted', amountRaw: raw.toString(), amount: fromRawAmount(raw, currency) };
+            });
+        
+        res.json({
+            success: true,
+            currencies,
+            openEscrow,
+            checkedAt: Date.now()
+        });
+    } catch (e) {
+        console.error('Ledger reconciliation error:', e.message);
+        res.status(500).json({ error: 'Failed to reconcile ledger: ' + e.message });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ABANDONED ROOMS - Refund paid seats of games that never started
+// ═══════════════════════════════════════════════════════════════
+const ABANDONED_ROOM_MS = 30 * 60 * 1000; // Cleanup refunds paid rooms still waiting after this
+const CANCEL_AFTER_MS = 5 * 60 * 1000;    // How long a paid player must wait for the opponent before cancelling
+
+// Close a room that never started and refund every paid seat (minus REFUND_FEE_RATE).
+// Idempotent like handlePayout - returns the queued refund jobs
+function refundRoom(room, reason, feeRate = REFUND_FEE_RATE) {
+    if (room.payoutStartedAt) return [];
+    room.payoutStartedAt = Date.now();
+    room.status = 'finished';
+    room.finishedAt = Date.now();
+    room.termination = reason; // abandoned | cancelled | voided
+    publishGameOver(room);
+    saveRooms();
+    
+    const refundRaw = applyRate(getStakeRaw(room), 1 - feeRate, room.currency);
+    const recipients = room.players.filter(p => p?.paid && p.wallet);
+    console.log(`Room ${room.code} ${reason} - refunding ${recipients.length} paid seat(s)`);
+    if (room.isFreeGame || refundRaw <= 0n) return [];
+    
+    recordCommissionEntry(room, refundRaw * BigInt(recipients.length));
+    return recipients.map(player => enqueuePayout(room, { kind: 'refund', recipient: player.wallet, recipientName: player.name, amountRaw: refundRaw }));
+}
+
+// Player-initiated cancel of a paid room whose opponent never paid. Returns { room } or { status, error }
+function cancelPaidRoom(gameType, roomCode, playerWallet) {
+    const room = PAYMENT_GAMES[gameType].getRooms().get(String(roomCode || '').toUpperCase());
+    if (!room) return { status: 404, error: 'Room not found' };
+    if (!playerWallet) return { status: 400, error: 'Missing wallet' };
+    if (!PAYABLE_STATUSES.includes(room.status)) return { status: 400, error: 'Game already started or finished' };
+    
+    const player = room.players.find(p => p.wallet === playerWallet);
+    if (!player) return { status: 400, error: 'Not in this room' };
+    if (!player.paid) return { status: 400, error: 'You have not paid - just leave the room' };
+    
+    const cancelAvailableAt = (player.paidAt || room.createdAt) + CANCEL_AFTER_MS;
+    if (Date.now() < cancelAvailableAt) {
+        const seconds = Math.ceil((cancelAvailableAt - Date.now()) / 1000);
+        return { status: 400, error: `Your opponent still has ${seconds}s to pay - try again later`, cancelAvailableAt };
+    }
+    
+    refundRoom(room, 'cancelled');
+    return { room };
+}
+
+function sendCancelResult(res, result) {
+    if (result.error) return res.status(result.status).json({ error: result.error, cancelAvailableAt: result.cancelAvailableAt });
+    res.json({ success: true, message: 'Room cancelled - refund queued', refunds: getRoomPayouts(result.room) });
+}
+
+app.post('/api/rooms/:code/cancel', requireWallet('playerWallet'), (req, res) => {
+    sendCancelResult(res, cancelPaidRoom('chess', req.params.code, req.body.playerWallet));
+});
+
+app.post('/api/ttt/rooms/:code/cancel', requireWallet('playerWallet'), (req, res) => {
+    sendCancelResult(res, cancelPaidRoom('tictactoe', req.params.code, req.body.playerWallet));
+});
+
+app.post('/api/battleship/rooms/:code/cancel', requireWallet('playerWallet'), (req, res) => {
+    sendCancelResult(res, cancelPaidRoom('battleship', req.params.code, req.body.playerWallet));
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ADMIN - Room & user management, every action is written to the audit log
+// Send "X-Admin-Key" (and optionally "X-Admin-Actor" to name the operator)
+// ═══════════════════════════════════════════════════════════════
+const ADMIN_AUDIT_MAX = 2000;
+
+function recordAudit(req, action, target, details = {}) {
+    const entry = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        action,
+        target,
+        details,
+        actor: sanitizeString(req.get('x-admin-actor') || 'admin', 40),
+        ip: req.ip,
+        createdAt: Date.now()
+    };
+    adminAudit.unshift(entry);
+    if (adminAudit.length > ADMIN_AUDIT_MAX) adminAudit.length = ADMIN_AUDIT_MAX;
+    console.log(`Admin ${entry.actor}: ${action} ${target}`);
+    saveData(); // Persist
+    return entry;
+}
+
+function getBan(playerWallet) {
+    const ban = bannedWallets.get(playerWallet);
+    if (ban?.until && Date.now() > ban.until) {
+        bannedWallets.delete(playerWallet);
+        saveData(); // Persist
+        return null;
+    }
+    return ban || null;
+}
+
+// Rejects banned wallets - goes after requireWallet on room creation, joining and chat routes.
+// field names the body wallet, or is a function that finds the wallet (e.g. from a seat token)
+function rejectBanned(field = 'wallet') {
+    return (req, res, next) => {
+        const playerWallet = typeof field === 'function' ? field(req) : req.body?.[field];
+        const ban = playerWallet && getBan(playerWallet);
+        if (ban) return res.status(403).json({ error: `This wallet is banned${ban.reason ? ': ' + ban.reason : ''}`, bannedUntil: ban.until });
+        next();
+    };
+}
+
+function summarizeAdminRoom(gameType, room) {
+    return {
+        gameType,
+        code: room.code,
+        status: room.status,
+        currency: getCurrency(room).key,
+        tokenAmount: room.tokenAmount,
+        entryFeeUsd: room.entryFeeUsd,
+        isFreeGame: room.isFreeGame || false,
+        players: room.players.map(p => ({ id: p.id, wallet: p.wallet, name: p.name, paid: p.paid, paidFromBalance: p.paidFromBalance || false })),
+        winner: room.winner ?? null,
+        termination: room.termination || null,
+        createdAt: room.createdAt,
+        finishedAt: room.finishedAt || null,
+        payouts: getRoomPayouts(room)
+    };
+}
+
+// Looks up :gameType/:code. Returns { game, room } or { status, error }
+function getAdminRoom(params) {
+    const game = PAYMENT_GAMES[params.gameType];
+    if (!game) return { status: 404, error: 'Unknown game type' };
+    const room = game.getRooms().get(params.code?.toUpperCase());
+    if (!room) return { status: 404, error: 'Room not found' };
+    return { game, room };
+}
+
+// Admin: rooms of every game (?gameType=&status=&wallet=)
+app.get('/api/admin/rooms', requireAdmin, (req, res) => {
+    const { gameType, status, wallet: walletFilter } = req.query;
+    const list = [];
+    for (const [type, game] of Object.entries(PAYMENT_GAMES)) {
+        if (gameType && type !== gameType) continue;
+        for (const room of game.getRooms().values()) {
+            if (status && room.status !== status) continue;
+            if (walletFilter && !room.players.some(p => p.wallet === walletFilter)) continue;
+            list.push(summarizeAdminRoom(type, room));
+        }
+    }
+    list.sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ success: true, count: list.length, rooms: list });
+});
+
+// Admin: full room state with its payout jobs and ledger entries
+app.get('/api/admin/rooms/:gameType/:code', requireAdmin, (req, res) => {
+    const { room, status, error } = getAdminRoom(req.params);
+    if (error) return res.status(status).json({ error });
+    
+    res.json({
+        success: true,
+        room: withoutSeatTokens(room),
+        payoutJobs: (room.payoutJobIds || []).map(id => payoutJobs.get(id)).filter(Boolean),
+        ledger: ledger.filter(entry => entry.roomCode === room.code && entry.gameType === req.params.gameType)
+    });
+});
+
+// Admin: end a game with a result - body: { winner: 0 | 1 | 'draw', reason }. Pays out like a normal finish
+app.post('/api/admin/rooms/:gameType/:code/finish', requireAdmin, async (req, res) => {
+    const { room, status, error } = getAdminRoom(req.params);
+    if (error) return res.status(status).json({ error });
+    if (room.status === 'finished') return res.status(400).json({ error: 'Game already finished' });
+    if (room.players.length < 2 || !room.players.every(p => p.paid)) {
+        return res.status(400).json({ error: 'Not every seat is paid - void the room instead' });
+    }
+    
+    const { reason } = req.body;
+    const winner = req.body.winner === 'draw' ? 'draw' : parseInt(req.body.winner);
+    if (winner !== 'draw' && !room.players.some(p => p.id === winner)) {
+        return res.status(400).json({ error: 'winner must be a player id or "draw"' });
+    }
+    
+    const { gameType } = req.params;
+    await PAYMENT_GAMES[gameType].finish(room, winner, 'admin');
+    saveRooms();
+    
+    recordAudit(req, 'room.finish', `${gameType}:${room.code}`, { winner, reason: sanitizeString(reason, 200) });
+    res.json({ success: true, room: summarizeAdminRoom(gameType, room) });
+});
+
+// Admin: cancel a game without a result and refund every paid seat in full - body: { reason }
+app.post('/api/admin/rooms/:gameType/:code/void', requireAdmin, (req, res) => {
+    const { room, status, error } = getAdminRoom(req.params);
+    if (error) return res.status(status).json({ error });
+    if (room.status === 'finished' || room.payoutStartedAt) return res.status(400).json({ error: 'Game already finished' });
+    
+    const { gameType } = req.params;
+    cancelClock(gameType, room.code);
+    refundRoom(room, 'voided', 0);
+    
+    recordAudit(req, 'room.void', `${gameType}:${room.code}`, { reason: sanitizeString(req.body.reason, 200) });
+    res.json({ success: true, room: summarizeAdminRoom(gameType, room) });
+});
+
+// Admin: send a failed payout job again. Its earlier signatures are still checked first,
+// so a late-landing attempt is recognised instead of paying twice
+app.post('/api/admin/payouts/:id/retry', requireAdmin, (req, res) => {
+    const job = payoutJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Payout job not found' });
+    if (job.status !== 'failed') return res.status(400).json({ error: `Only failed payouts can be retried (job is ${job.status})` });
+    if (job.reversedAt) return res.status(400).json({ error: 'Withdrawal was already returned to the in-app balance' });
+    if (!wallet) return res.status(500).json({ error: 'House wallet not configured' });
+    
+    const previousError = job.lastError;
+    job.status = 'pending';
+    job.attempts = 0;
+    job.lastError = null;
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = Date.now();
+    
+    const room = job.roomCode ? PAYMENT_GAMES[job.gameType]?.getRooms().get(job.roomCode) : null;
+    if (room) room.payoutError = null;
+    flushRooms().then(processPayoutQueue);
+    
+    recordAudit(req, 'payout.retry', job.id, { previousError });
+    res.json({ success: true, payout: summarizePayoutJob(job) });
+});
+
+app.get('/api/admin/bans', requireAdmin, (req, res) => {
+    const bans = Array.from(bannedWallets.keys())
+        .map(bannedWallet => ({ wallet: bannedWallet, ...getBan(bannedWallet) }))
+        .filter(ban => ban.bannedAt);
+    res.json({ success: true, bans });
+});
+
+// Admin: ban a wallet from creating/joining rooms and chatting - body: { wallet, reason, durationHours } (no duration = permanent)
+app.post('/api/admin/bans', requireAdmin, (req, res) => {
+    const { wallet: bannedWallet, reason, durationHours } = req.body;
+    if (!isValidWallet(bannedWallet)) return res.status(400).json({ error: 'Invalid wallet' });
+    const hours = parseFloat(durationHours);
+    if (durationHours !== undefined && !(hours > 0)) return res.status(400).json({ error: 'durationHours must be positive' });
+    
+    const ban = { reason: sanitizeString(reason, 200), bannedAt: Date.now(), until: hours > 0 ? Date.now() + hours * 60 * 60 * 1000 : null };
+    bannedWallets.set(bannedWallet, ban);
+    
+    recordAudit(req, 'wallet.ban', bannedWallet, ban);
+    res.json({ success: true, wallet: bannedWallet, ...ban });
+});
+
+app.delete('/api/admin/bans/:wallet', requireAdmin, (req, res) => {
+    if (!bannedWallets.delete(req.params.wallet)) return res.status(404).json({ error: 'Wallet is not banned' });
+    
+    recordAudit(req, 'wallet.unban', req.params.wallet);
+    res.json({ success: true });
+});
+
+// Admin: edit a profile - body: { username, avatar } (either one)
+app.post('/api/admin/profiles/:wallet', requireAdmin, (req, res) => {
+    const profileWallet = req.params.wallet;
+    if (!isValidWallet(profileWallet)) return res.status(400).json({ error: 'Invalid wallet' });
+    
+    const { username, avatar } = req.body;
+    const changes = {};
+    if (username !== undefined) {
+        const cleanUsername = sanitizeString(username, 20).trim();
+        if (!cleanUsername) return res.status(400).json({ error: 'Invalid username' });
+        changes.username = { from: usernames.get(profileWallet) || null, to: cleanUsername };
+    }
+    if (avatar !== undefined) {
+        const cleanAvatar = sanitizeString(avatar, 10);
+        if (!cleanAvatar) return res.status(400).json({ error: 'Invalid avatar' });
+        changes.avatar = { from: profiles.get(profileWallet)?.avatar || null, to: cleanAvatar };
     }
+    if (!changes.username && !changes.avatar) return res.status(400).json({ error: 'Nothing to change' });
     
-    room.currentTurn = room.currentTurn === 'white' ? 'black' : 'white';
-    res.json({ 
-        success: true, board: room.board, currentTurn: room.currentTurn, lastMove: room.lastMove,
-        whiteTimeMs: room.whiteTimeMs, blackTimeMs: room.blackTimeMs
-    });
-    } catch (e) {
-        console.error('Move error:', e.message);
-        res.status(500).json({ error: 'Failed to process move' });
+    const profile = getOrCreateProfile(profileWallet);
+    if (changes.username) {
+        usernames.set(profileWallet, changes.username.to);
+        profile.username = changes.username.to;
     }
+    if (changes.avatar) profile.avatar = changes.avatar.to;
+    
+    recordAudit(req, 'profile.edit', profileWallet, changes);
+    res.json({ success: true, wallet: profileWallet, username: getUsername(profileWallet), avatar: profile.avatar });
 });
 
-// ═══════════════════════════════════════════════════════════════
-// RESIGN - Player forfeits and pays 10% penalty to opponent
-// ═══════════════════════════════════════════════════════════════
-app.post('/api/rooms/:code/resign', async (req, res) => {
-    try {
-        const { playerId } = req.body;
-        const code = req.params.code?.toUpperCase();
-        const room = rooms.get(code);
-        
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
-        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
-        if (playerId === undefined || playerId === null) return res.status(400).json({ error: 'Missing player ID' });
-        
-        const resigningPlayer = room.players?.[playerId];
-        if (!resigningPlayer) return res.status(400).json({ error: 'Invalid player' });
-        
-        // The other player wins
-        const winnerId = playerId === 0 ? 1 : 0;
-        room.winner = winnerId;
-        room.status = 'finished';
-        room.finishedAt = Date.now();
-        room.resignedBy = playerId;
-        
-        console.log(`Player ${resigningPlayer.name} resigned in room ${code}`);
-        
-        // Handle payout - winner gets full prize, resigner pays 10% penalty
-        await handlePayout(room);
-        
-        res.json({ success: true, gameOver: true, winner: winnerId, resigned: true });
-    } catch (e) {
-        console.error('Resign error:', e.message);
-        res.status(500).json({ error: 'Failed to process resignation' });
-    }
+// Admin: audit log (?action=&target=&limit=)
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+    const { action, target } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), ADMIN_AUDIT_MAX);
+    const entries = adminAudit
+        .filter(entry => (!action || entry.action === action) && (!target || entry.target === target))
+        .slice(0, limit);
+    res.json({ success: true, entries });
 });
 
 // ═══════════════════════════════════════════════════════════════
-// DRAW - Both players agree to draw, each gets their money back minus 5% fee
+// MATCHMAKING - Pairs queued players by game, stake range, time control and rating
+// POST /api/matchmaking/queue { gameType, minUsd, maxUsd, currency, timeControl, delaySeconds }
+// GET /api/matchmaking/queue (own ticket), POST /api/matchmaking/cancel
+// Matches are pushed as "match_found" on /api/notifications/events
 // ═══════════════════════════════════════════════════════════════
-app.post('/api/rooms/:code/draw-offer', (req, res) => {
-    try {
-        const { playerId } = req.body;
-        const code = req.params.code?.toUpperCase();
-        const room = rooms.get(code);
-        
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
-        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
-        
-        const player = room.players?.[playerId];
-        if (!player) return res.status(400).json({ error: 'Invalid player' });
-        
-        room.drawOfferedBy = playerId;
-        room.drawOfferedAt = Date.now();
-        
-        console.log(`Draw offered by ${player.name} in room ${code}`);
-        res.json({ success: true, message: 'Draw offer sent' });
-    } catch (e) {
-        console.error('Draw offer error:', e.message);
-        res.status(500).json({ error: 'Failed to offer draw' });
+const MATCH_RATING_WINDOW = 100;          // Rating difference accepted right away
+const MATCH_WINDOW_GROWTH = 50;           // Added for every MATCH_WINDOW_STEP_MS spent waiting
+const MATCH_WINDOW_STEP_MS = 15000;
+const MATCH_MAX_WINDOW = 600;
+const MATCH_TICKET_TTL_MS = 10 * 60 * 1000; // Waiting tickets expire, closed ones are forgotten after this
+const MATCH_POLL_MS = 5000;
+const matchQueue = new Map(); // wallet -> ticket. In memory only - clients queue again after a restart
+let matchmakingBusy = false;
+
+// The room routes' create & join code paths, by game type
+const ROOM_FACTORIES = {
+    chess: { create: createChessRoom, join: joinChessRoom },
+    tictactoe: { create: createTttRoom, join: joinTttRoom },
+    battleship: { create: createBattleshipRoom, join: joinBattleshipRoom }
+};
+
+// Game type, currency and time control for a matchmaking ticket or challenge.
+// Returns { gameType, currency, timeControl, delaySeconds } or { error }
+function parseGameOptions({ gameType = 'chess', currency, timeControl, delaySeconds }) {
+    if (!ROOM_FACTORIES[gameType]) return { error: `Unknown game type. Choose one of: ${Object.keys(ROOM_FACTORIES).join(', ')}` };
+    
+    const currencyKey = String(currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!STAKE_CURRENCIES[currencyKey]) return { error: `Unsupported currency. Choose one of: ${Object.keys(STAKE_CURRENCIES).join(', ')}` };
+    
+    // Time controls only apply to chess
+    if (gameType !== 'chess') return { gameType, currency: currencyKey, timeControl: null, delaySeconds: 0 };
+    const parsed = parseTimeControl(timeControl, delaySeconds);
+    if (parsed.error) return { error: parsed.error };
+    return { gameType, currency: currencyKey, timeControl: parsed.timeControl.key, delaySeconds: parsed.timeControl.delayMs / 1000 };
+}
+
+// Create a private room with both seats taken - the creator gets seat 0 (white / X).
+// Returns { room, players: [creator, opponent] } or { status, error }
+async function createSeatedRoom({ gameType, creatorWallet, opponentWallet, entryFeeUsd, currency, timeControl, delaySeconds }) {
+    const factory = ROOM_FACTORIES[gameType];
+    const created = await factory.create({ creatorWallet, entryFeeUsd, currency, timeControl, delaySeconds }, { isPrivate: true });
+    if (created.error) return created;
+    
+    const { room } = created;
+    const joined = factory.join(room, opponentWallet);
+    if (joined.error) {
+        PAYMENT_GAMES[gameType].getRooms().delete(room.code);
+        saveRooms();
+        return joined;
     }
-});
+    return { room, players: [room.players[0], joined.player] };
+}
 
-app.post('/api/rooms/:code/draw-accept', async (req, res) => {
+function getMatchWindow(ticket, now = Date.now()) {
+    const steps = Math.floor((now - ticket.queuedAt) / MATCH_WINDOW_STEP_MS);
+    return Math.min(MATCH_MAX_WINDOW, MATCH_RATING_WINDOW + steps * MATCH_WINDOW_GROWTH);
+}
+
+// Only ever sent to the ticket's owner - it carries their seat token once matched
+function summarizeMatchTicket(ticket) {
+    if (!ticket) return null;
+    return {
+        id: ticket.id,
+        status: ticket.status, // waiting | matching | matched | cancelled | expired
+        gameType: ticket.gameType,
+        minUsd: ticket.minUsd,
+        maxUsd: ticket.maxUsd,
+        currency: ticket.currency,
+        timeControl: ticket.timeControl,
+        rating: ticket.rating,
+        ratingWindow: ticket.status === 'waiting' ? getMatchWindow(ticket) : null,
+        queuedAt: ticket.queuedAt,
+        expiresAt: ticket.expiresAt,
+        match: ticket.match
+    };
+}
+
+// The longer-waiting side's window decides, so nobody waits forever for an exact peer
+function isMatchCompatible(a, b, now) {
+    return a.gameType === b.gameType
+        && a.currency === b.currency
+        && a.timeControl === b.timeControl
+        && a.delaySeconds === b.delaySeconds
+        && Math.max(a.minUsd, b.minUsd) <= Math.min(a.maxUsd, b.maxUsd)
+        && Math.abs(a.rating - b.rating) <= Math.max(getMatchWindow(a, now), getMatchWindow(b, now));
+}
+
+function closeMatchTicket(ticket, status) {
+    ticket.status = status;
+    ticket.closedAt = Date.now();
+}
+
+// Create the room for a pair at the lowest stake both accept, seats drawn at random
+async function createMatch(first, second) {
+    first.status = second.status = 'matching';
+    const [creator, opponent] = Math.random() < 0.5 ? [first, second] : [second, first];
+    const entryFeeUsd = Math.max(creator.minUsd, opponent.minUsd);
+    
+    const { room, players, error } = await createSeatedRoom({
+        gameType: creator.gameType,
+        creatorWallet: creator.wallet,
+        opponentWallet: opponent.wallet,
+        entryFeeUsd,
+        currency: creator.currency,
+        timeControl: creator.timeControl,
+        delaySeconds: creator.delaySeconds
+    });
+    if (error) {
+        // e.g. a stale price feed - both stay queued and are paired again on a later pass
+        console.error('Matchmaking room error:', error);
+        first.status = second.status = 'waiting';
+        return;
+    }
+    room.matchmade = true;
+    saveRooms();
+    
+    const seats = [[creator, players[0], opponent], [opponent, players[1], creator]];
+    for (const [ticket, player, other] of seats) {
+        closeMatchTicket(ticket, 'matched');
+        ticket.match = {
+            gameType: creator.gameType,
+            code: room.code,
+            playerId: player.id,
+            seatToken: player.seatToken,
+            entryFeeUsd,
+            opponent: { wallet: other.wallet, name: getUsername(other.wallet), rating: other.rating }
+        };
+        notifyWallet(ticket.wallet, 'match_found', { ticket: summarizeMatchTicket(ticket) });
+    }
+    console.log(`Matchmaking: ${creator.gameType} ${room.code} - ${getUsername(creator.wallet)} vs ${getUsername(opponent.wallet)} ($${entryFeeUsd})`);
+}
+
+// Oldest tickets get the first pick
+async function runMatchmaking() {
+    if (matchmakingBusy) return;
+    matchmakingBusy = true;
     try {
-        const { playerId } = req.body;
-        const code = req.params.code?.toUpperCase();
-        const room = rooms.get(code);
-        
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
-        if (room.winner !== null) return res.status(400).json({ error: 'Game already over' });
-        if (room.drawOfferedBy === undefined) return res.status(400).json({ error: 'No draw offer pending' });
-        if (room.drawOfferedBy === playerId) return res.status(400).json({ error: 'Cannot accept your own draw offer' });
-        
-        // Draw expired after 30 seconds
-        if (Date.now() - room.drawOfferedAt > 30000) {
-            room.drawOfferedBy = undefined;
-            return res.status(400).json({ error: 'Draw offer expired' });
+        const now = Date.now();
+        for (const ticket of matchQueue.values()) {
+            if (ticket.status === 'waiting' && now > ticket.expiresAt) {
+                closeMatchTicket(ticket, 'expired');
+                notifyWallet(ticket.wallet, 'match_expired', { ticket: summarizeMatchTicket(ticket) });
+            } else if (ticket.closedAt && now - ticket.closedAt > MATCH_TICKET_TTL_MS) {
+                matchQueue.delete(ticket.wallet);
+            }
         }
         
-        room.status = 'finished';
-        room.finishedAt = Date.now();
-        room.winner = 'draw';
-        room.isDraw = true;
-        
-        console.log(`Draw accepted in room ${code}`);
-        
-        // Handle draw payout - each player gets back their entry minus 5% fee
-        await handleDrawPayout(room);
-        
-        res.json({ success: true, gameOver: true, isDraw: true });
+        const waiting = [...matchQueue.values()]
+            .filter(t => t.status === 'waiting')
+            .sort((a, b) => a.queuedAt - b.queuedAt);
+        for (const ticket of waiting) {
+            if (ticket.status !== 'waiting') continue; // Paired earlier in this pass
+            const opponent = waiting.find(t => t !== ticket && t.status === 'waiting' && isMatchCompatible(ticket, t, now));
+            if (opponent) await createMatch(ticket, opponent);
+        }
     } catch (e) {
-        console.error('Draw accept error:', e.message);
-        res.status(500).json({ error: 'Failed to accept draw' });
+        console.error('Matchmaking error:', e.message);
+    } finally {
+        matchmakingBusy = false;
     }
-});
+}
 
-app.post('/api/rooms/:code/draw-decline', (req, res) => {
-    try {
-        const code = req.params.code?.toUpperCase();
-        const room = rooms.get(code);
-        
-        if (!room) return res.status(404).json({ error: 'Room not found' });
-        
-        room.drawOfferedBy = undefined;
-        room.drawOfferedAt = undefined;
-        
-        res.json({ success: true, message: 'Draw declined' });
-    } catch (e) {
-        res.status(500).json({ error: 'Failed to decline draw' });
+app.post('/api/matchmaking/queue', requireWallet(), rejectBanned(), async (req, res) => {
+    const { wallet: playerWallet } = req.body;
+    const options = parseGameOptions(req.body);
+    if (options.error) return res.status(400).json({ error: options.error });
+    const { gameType, currency, timeControl, delaySeconds } = options;
+    
+    const minUsd = parseFloat(req.body.minUsd) || 0;
+    const maxUsd = req.body.maxUsd === undefined ? minUsd : parseFloat(req.body.maxUsd);
+    if (minUsd < 0 || !(maxUsd >= minUsd)) return res.status(400).json({ error: 'Invalid stake range' });
+    
+    if (matchQueue.get(playerWallet)?.status === 'matching') {
+        return res.status(409).json({ error: 'A match is already being set up for you' });
     }
+    
+    // Queueing again replaces an earlier ticket
+    const now = Date.now();
+    const ticket = {
+        id: crypto.randomBytes(8).toString('hex'),
+        wallet: playerWallet,
+        gameType,
+        minUsd,
+        maxUsd,
+        currency,
+        timeControl,
+        delaySeconds,
+        rating: getRating(playerWallet, gameType),
+        status: 'waiting',
+        queuedAt: now,
+        expiresAt: now + MATCH_TICKET_TTL_MS,
+        closedAt: null,
+        match: null
+    };
+    matchQueue.set(playerWallet, ticket);
+    console.log(`Matchmaking: ${getUsername(playerWallet)} queued for ${gameType} $${minUsd}-${maxUsd} ${currency}${timeControl ? ' ' + timeControl : ''}`);
+    
+    await runMatchmaking();
+    res.json({ success: true, ticket: summarizeMatchTicket(ticket) });
+});
+
+app.get('/api/matchmaking/queue', requireWallet(), (req, res) => {
+    res.json({ success: true, ticket: summarizeMatchTicket(matchQueue.get(req.wallet)) });
 });
 
+app.post('/api/matchmaking/cancel', requireWallet(), (req, res) => {
+    const ticket = matchQueue.get(req.wallet);
+    if (ticket?.status === 'matching') return res.status(409).json({ error: 'A match is already being set up for you' });
+    if (ticket?.status !== 'waiting') return res.status(400).json({ error: 'Not in the matchmaking queue' });
+    
+    closeMatchTicket(ticket, 'cancelled');
+    res.json({ success: true, ticket: summarizeMatchTicket(ticket) });
+});
+
+setInterval(runMatchmaking, MATCH_POLL_MS);
+
 // ═══════════════════════════════════════════════════════════════
-// PAYOUT - Send tokens to winner
+// CHALLENGES - Challenge a player you follow to a private game
+// POST /api/challenges { to, gameType, entryFeeUsd, currency, timeControl, delaySeconds }
+// GET /api/challenges -> { incoming, outgoing }
+// POST /api/challenges/:id/accept | decline (challenged player) | cancel (challenger)
 // ═══════════════════════════════════════════════════════════════
-async function handleDrawPayout(room) {
-    if (!wallet) {
-        console.log('No wallet configured for payout');
-        return;
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;        // Unanswered challenges expire after this
+const CHALLENGE_RETENTION_MS = 60 * 60 * 1000;  // Answered ones stay listed this long
+const MAX_PENDING_CHALLENGES = 10;              // Per challenger
+const challenges = new Map(); // id -> challenge. In memory only, like the matchmaking queue
+
+// The viewer's own seat token is included once the room exists
+function summarizeChallenge(challenge, viewerWallet) {
+    const room = challenge.room && PAYMENT_GAMES[challenge.gameType].getRooms().get(challenge.room.code);
+    const seat = room?.players.find(p => p.wallet === viewerWallet);
+    return {
+        id: challenge.id,
+        from: { wallet: challenge.from, name: getUsername(challenge.from) },
+        to: { wallet: challenge.to, name: getUsername(challenge.to) },
+        gameType: challenge.gameType,
+        entryFeeUsd: challenge.entryFeeUsd,
+        currency: challenge.currency,
+        timeControl: challenge.timeControl,
+        delaySeconds: challenge.delaySeconds,
+        status: challenge.status, // pending | accepting | accepted | declined | cancelled | expired
+        createdAt: challenge.createdAt,
+        expiresAt: challenge.expiresAt,
+        respondedAt: challenge.respondedAt,
+        room: challenge.room ? { ...challenge.room, playerId: seat?.id ?? null, seatToken: seat?.seatToken || null } : null
+    };
+}
+
+function closeChallenge(challenge, status, at = Date.now()) {
+    challenge.status = status;
+    challenge.respondedAt = at;
+}
+
+// Expiry is applied lazily on access as well as by the sweep below
+function expireChallenge(challenge) {
+    if (challenge.status !== 'pending' || Date.now() <= challenge.expiresAt) return;
+    closeChallenge(challenge, 'expired', challenge.expiresAt);
+    notifyWallet(challenge.from, 'challenge_expired', { challenge: summarizeChallenge(challenge, challenge.from) });
+    notifyWallet(challenge.to, 'challenge_expired', { challenge: summarizeChallenge(challenge, challenge.to) });
+}
+
+function listChallenges(playerWallet) {
+    const incoming = [];
+    const outgoing = [];
+    for (const challenge of challenges.values()) {
+        expireChallenge(challenge);
+        if (challenge.to === playerWallet) incoming.push(summarizeChallenge(challenge, playerWallet));
+        if (challenge.from === playerWallet) outgoing.push(summarizeChallenge(challenge, playerWallet));
     }
-    
-    // Each player gets back 95% of their entry (5% fee total)
-    const refundTokens = Math.floor(room.tokenAmount * 0.95);
-    
-    for (const player of room.players) {
-        if (!player?.wallet) continue;
-        
-        try {
-            const recipient = new PublicKey(player.wallet);
-            const senderATA = await getAssociatedTokenAddress(TOKEN_MINT, wallet.publicKey, false, TOKEN_2022_PROGRAM_ID);
-            const recipientATA = await getAssociatedTokenAddress(TOKEN_MINT, recipient, false, TOKEN_2022_PROGRAM_ID);
-            
-            const amountInSmallestUnit = refundTokens * Math.pow(10, TOKEN_DECIMALS);
-            
-            const ix = createTransferInstruction(
-                senderATA, 
-                recipientATA, 
-                wallet.publicKey, 
-                amountInSmallestUnit, 
-                [], 
-                TOKEN_2022_PROGRAM_ID
-            );
-            
-            const tx = new Transaction().add(ix);
-            tx.feePayer = wallet.publicKey;
-            tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-            tx.sign(wallet);
-            
-            const sig = await connection.sendRawTransaction(tx.serialize());
-            console.log(`Draw refund sent: ${refundTokens} ${TOKEN_SYMBOL} to ${player.name}, tx: ${sig}`);
-            
-            if (!room.drawPayoutTx) room.drawPayoutTx = [];
-            room.drawPayoutTx.push({ player: player.name, tx: sig, amount: refundTokens });
-        } catch (e) {
-            console.error(`Draw refund error for ${player.name}:`, e.message);
-        }
+    const newestFirst = (a, b) => b.createdAt - a.createdAt;
+    return { incoming: incoming.sort(newestFirst), outgoing: outgoing.sort(newestFirst) };
+}
+
+// Returns { challenge } for the given side ('from' | 'to') or { status, error }
+function getOwnChallenge(id, playerWallet, side) {
+    const challenge = challenges.get(id);
+    if (!challenge || (challenge.from !== playerWallet && challenge.to !== playerWallet)) {
+        return { status: 404, error: 'Challenge not found' };
+    }
+    if (challenge[side] !== playerWallet) {
+        return { status: 403, error: side === 'to' ? 'Only the challenged player can answer' : 'Only the challenger can cancel' };
     }
+    expireChallenge(challenge);
+    if (challenge.status !== 'pending') return { status: 400, error: `Challenge is ${challenge.status}` };
+    return { challenge };
 }
 
-async function handlePayout(room) {
-    const winner = room.players[room.winner];
-    const loser = room.players.find(p => p.id !== room.winner);
+app.post('/api/challenges', requireWallet(), rejectBanned(), (req, res) => {
+    const { wallet: playerWallet, to } = req.body;
+    if (!isValidWallet(to)) return res.status(400).json({ error: 'Invalid wallet' });
+    if (to === playerWallet) return res.status(400).json({ error: 'You cannot challenge yourself' });
+    if (!isFollowing(playerWallet, to)) return res.status(403).json({ error: 'Follow this player to challenge them' });
+    if (getBan(to)) return res.status(400).json({ error: 'This player cannot be challenged right now' });
+    
+    const options = parseGameOptions(req.body);
+    if (options.error) return res.status(400).json({ error: options.error });
+    const entryFeeUsd = parseFloat(req.body.entryFeeUsd) || 0;
+    if (entryFeeUsd < 0) return res.status(400).json({ error: 'Invalid entry fee' });
+    
+    const pending = listChallenges(playerWallet).outgoing.filter(c => c.status === 'pending');
+    if (pending.some(c => c.to.wallet === to)) return res.status(409).json({ error: 'You already have a pending challenge to this player' });
+    if (pending.length >= MAX_PENDING_CHALLENGES) return res.status(429).json({ error: 'Too many pending challenges' });
     
-    // Record match in history
-    if (winner?.wallet && loser?.wallet) {
-        recordMatch(room, winner.wallet, loser.wallet);
-    }
+    const now = Date.now();
+    const challenge = {
+        id: crypto.randomBytes(8).toString('hex'),
+        from: playerWallet,
+        to,
+        ...options,
+        entryFeeUsd,
+        status: 'pending',
+        createdAt: now,
+        expiresAt: now + CHALLENGE_TTL_MS,
+        respondedAt: null,
+        room: null
+    };
+    challenges.set(challenge.id, challenge);
+    notifyWallet(to, 'challenge_received', { challenge: summarizeChallenge(challenge, to) });
+    console.log(`Challenge: ${getUsername(playerWallet)} -> ${getUsername(to)} (${options.gameType}, $${entryFeeUsd})`);
     
-    if (!wallet) {
-        console.log('No wallet configured for payout');
-        return;
+    res.json({ success: true, challenge: summarizeChallenge(challenge, playerWallet) });
+});
+
+app.get('/api/challenges', requireWallet(), (req, res) => {
+    res.json({ success: true, ...listChallenges(req.wallet) });
+});
+
+// Accepting creates the private room: challenger in seat 0 (white / X), both seats taken
+app.post('/api/challenges/:id/accept', requireWallet(), rejectBanned(), async (req, res) => {
+    const { challenge, status, error } = getOwnChallenge(req.params.id, req.wallet, 'to');
+    if (error) return res.status(status).json({ error });
+    if (getBan(challenge.from)) return res.status(400).json({ error: 'Your opponent cannot play right now' });
+    
+    challenge.status = 'accepting'; // Blocks a second accept while the room is being priced
+    const seated = await createSeatedRoom({
+        gameType: challenge.gameType,
+        creatorWallet: challenge.from,
+        opponentWallet: challenge.to,
+        entryFeeUsd: challenge.entryFeeUsd,
+        currency: challenge.currency,
+        timeControl: challenge.timeControl,
+        delaySeconds: challenge.delaySeconds
+    });
+    if (seated.error) {
+        challenge.status = 'pending';
+        return res.status(seated.status).json({ error: seated.error });
     }
     
-    if (!winner?.wallet) return;
+    const { room } = seated;
+    room.challengeId = challenge.id;
+    saveRooms();
+    closeChallenge(challenge, 'accepted');
+    challenge.room = { gameType: challenge.gameType, code: room.code };
+    notifyWallet(challenge.from, 'challenge_accepted', { challenge: summarizeChallenge(challenge, challenge.from) });
     
-    // Winner gets: (tokenAmount * 2) - 10% commission
-    const payoutTokens = Math.floor(room.tokenAmount * 2 * (1 - COMMISSION_RATE));
+    res.json({ success: true, challenge: summarizeChallenge(challenge, req.wallet) });
+});
+
+app.post('/api/challenges/:id/decline', requireWallet(), (req, res) => {
+    const { challenge, status, error } = getOwnChallenge(req.params.id, req.wallet, 'to');
+    if (error) return res.status(status).json({ error });
     
-    try {
-        const recipient = new PublicKey(winner.wallet);
-        // Use Token-2022 program for pump.fun tokens
-        const senderATA = await getAssociatedTokenAddress(TOKEN_MINT, wallet.publicKey, false, TOKEN_2022_PROGRAM_ID);
-        const recipientATA = await getAssociatedTokenAddress(TOKEN_MINT, recipient, false, TOKEN_2022_PROGRAM_ID);
-        
-        // Token amount in smallest units
-        const amountInSmallestUnit = payoutTokens * Math.pow(10, TOKEN_DECIMALS);
-        
-        const ix = createTransferInstruction(
-            senderATA, 
-            recipientATA, 
-            wallet.publicKey, 
-            amountInSmallestUnit, 
-            [], 
-            TOKEN_2022_PROGRAM_ID
-        );
-        
-        const tx = new Transaction().add(ix);
-        tx.feePayer = wallet.publicKey;
-        tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-        tx.sign(wallet);
-        
-        const sig = await connection.sendRawTransaction(tx.serialize());
-        console.log(`Payout sent: ${payoutTokens} ${TOKEN_SYMBOL} to ${winner.name}, tx: ${sig}`);
-        
-        // Save transaction signature for proof
-        room.payoutTx = sig;
-        room.payoutAmount = payoutTokens;
-        room.payoutTime = Date.now();
-        
-        return sig;
-    } catch (e) { 
-        console.error('Payout error:', e.message);
-        room.payoutError = e.message;
-        return null;
+    closeChallenge(challenge, 'declined');
+    notifyWallet(challenge.from, 'challenge_declined', { challenge: summarizeChallenge(challenge, challenge.from) });
+    res.json({ success: true, challenge: summarizeChallenge(challenge, req.wallet) });
+});
+
+app.post('/api/challenges/:id/cancel', requireWallet(), (req, res) => {
+    const { challenge, status, error } = getOwnChallenge(req.params.id, req.wallet, 'from');
+    if (error) return res.status(status).json({ error });
+    
+    closeChallenge(challenge, 'cancelled');
+    notifyWallet(challenge.to, 'challenge_cancelled', { challenge: summarizeChallenge(challenge, challenge.to) });
+    res.json({ success: true, challenge: summarizeChallenge(challenge, req.wallet) });
+});
+
+setInterval(() => {
+    for (const [id, challenge] of challenges) {
+        expireChallenge(challenge);
+        if (challenge.respondedAt && Date.now() - challenge.respondedAt > CHALLENGE_RETENTION_MS) challenges.delete(id);
+    }
+}, 30000);
+
+// ═══════════════════════════════════════════════════════════════
+// REMATCH - Same stake again with seats swapped, once both players agree
+// POST /api/rooms/:code/rematch (also /api/ttt/... and /api/battleship/...) { playerId, seatToken }
+// proposes, or accepts the opponent's proposal. POST .../rematch/decline declines or withdraws it
+// ═══════════════════════════════════════════════════════════════
+const REMATCH_TTL_MS = 2 * 60 * 1000;
+const NO_REMATCH_TERMINATIONS = ['abandoned', 'cancelled', 'voided']; // Refunded games that never really started
+
+function expireRematch(room) {
+    if (room.rematch?.status === 'proposed' && Date.now() > room.rematch.expiresAt) room.rematch.status = 'expired';
+}
+
+// Shared checks for both rematch routes. Returns { room, player, opponent } or { status, error }
+function getRematchSeat(gameType, req) {
+    const room = PAYMENT_GAMES[gameType].getRooms().get(req.params.code.toUpperCase());
+    if (!room) return { status: 404, error: 'Room not found' };
+    if (room.status !== 'finished' || NO_REMATCH_TERMINATIONS.includes(room.termination)) {
+        return { status: 400, error: 'A rematch needs a finished game' };
     }
+    
+    const seat = authorizeSeat(room, req.body.playerId, req);
+    if (seat.error) return seat;
+    const opponent = room.players.find(p => p.id !== seat.player.id);
+    if (!opponent?.wallet) return { status: 400, error: 'No opponent to play' };
+    
+    expireRematch(room);
+    return { room, player: seat.player, opponent };
 }
 
+// The caller's wallet for rejectBanned - rematch requests only carry a seat token
+function getRematchWallet(gameType) {
+    return req => {
+        const seat = getRematchSeat(gameType, req);
+        return seat.error ? null : seat.player.wallet;
+    };
+}
+
+function proposeOrAcceptRematch(gameType) {
+    return async (req, res) => {
+        const { room, player, opponent, status, error } = getRematchSeat(gameType, req);
+        if (error) return res.status(status).json({ error });
+        if (getBan(opponent.wallet)) return res.status(400).json({ error: 'Your opponent cannot play right now' });
+        
+        const { rematch } = room;
+        if (['accepting', 'accepted'].includes(rematch?.status)) return res.status(400).json({ error: 'Rematch already accepted', rematch });
+        if (rematch?.status === 'proposed' && rematch.proposedBy === player.id) {
+            return res.status(400).json({ error: 'Waiting for your opponent to accept' });
+        }
+        
+        if (rematch?.status !== 'proposed') {
+            const now = Date.now();
+            room.rematch = { proposedBy: player.id, proposedAt: now, expiresAt: now + REMATCH_TTL_MS, status: 'proposed', code: null };
+            publishRoomEvent(room, 'rematch', { rematch: room.rematch });
+            notifyWallet(opponent.wallet, 'rematch_proposed', { gameType, code: room.code, from: { wallet: player.wallet, name: player.name } });
+            saveRooms();
+            return res.json({ success: true, rematch: room.rematch });
+        }
+        
+        // Accepting: seat 1 of the last game (black / O / second to fire) takes seat 0
+        rematch.status = 'accepting'; // Blocks a second accept while the room is being priced
+        const seated = await createSeatedRoom({
+            gameType,
+            creatorWallet: room.players.find(p => p.id === 1).wallet,
+            opponentWallet: room.players.find(p => p.id === 0).wallet,
+            entryFeeUsd: room.entryFeeUsd,
+            currency: room.currency,
+            timeControl: room.timeControl?.key,
+            delaySeconds: room.timeControl ? room.timeControl.delayMs / 1000 : 0
+        });
+        if (seated.error) {
+            rematch.status = 'proposed';
+            return res.status(seated.status).json({ error: seated.error });
+        }
+        
+        const newRoom = seated.room;
+        newRoom.rematchOf = room.code;
+        rematch.status = 'accepted';
+        rematch.acceptedAt = Date.now();
+        rematch.code = newRoom.code;
+        publishRoomEvent(room, 'rematch', { rematch });
+        saveRooms();
+        console.log(`Rematch: ${gameType} ${room.code} -> ${newRoom.code}`);
+        
+        const proposerSeat = seated.players.find(p => p.wallet === opponent.wallet);
+        notifyWallet(opponent.wallet, 'rematch_accepted', {
+            gameType, code: newRoom.code, previousCode: room.code, playerId: proposerSeat.id, seatToken: proposerSeat.seatToken
+        });
+        const mySeat = seated.players.find(p => p.wallet === player.wallet);
+        res.json({ success: true, rematch, code: newRoom.code, myPlayerId: mySeat.id, seatToken: mySeat.seatToken });
+    };
+}
+
+function declineRematch(gameType) {
+    return (req, res) => {
+        const { room, player, opponent, status, error } = getRematchSeat(gameType, req);
+        if (error) return res.status(status).json({ error });
+        if (room.rematch?.status !== 'proposed') return res.status(400).json({ error: 'No rematch proposal pending' });
+        
+        room.rematch.status = 'declined';
+        room.rematch.declinedBy = player.id;
+        publishRoomEvent(room, 'rematch', { rematch: room.rematch });
+        notifyWallet(opponent.wallet, 'rematch_declined', { gameType, code: room.code });
+        saveRooms();
+        res.json({ success: true, rematch: room.rematch });
+    };
+}
+
+app.post('/api/rooms/:code/rematch', rejectBanned(getRematchWallet('chess')), proposeOrAcceptRematch('chess'));
+app.post('/api/ttt/rooms/:code/rematch', rejectBanned(getRematchWallet('tictactoe')), proposeOrAcceptRematch('tictactoe'));
+app.post('/api/battleship/rooms/:code/rematch', rejectBanned(getRematchWallet('battleship')), proposeOrAcceptRematch('battleship'));
+app.post('/api/rooms/:code/rematch/decline', declineRematch('chess'));
+app.post('/api/ttt/rooms/:code/rematch/decline', declineRematch('tictactoe'));
+app.post('/api/battleship/rooms/:code/rematch/decline', declineRematch('battleship'));
+
 // ═══════════════════════════════════════════════════════════════
 // TIC-TAC-TOE GAME
 // ═══════════════════════════════════════════════════════════════
@@ -1807,59 +5400,71 @@ function checkTTTWinner(board) {
 }
 
 // Create TTT Room
-app.post('/api/ttt/rooms', async (req, res) => {
-    const { entryFeeUsd, creatorWallet } = req.body;
+// Create a Tic-Tac-Toe room seated with its creator (X). Returns { room } or { status, error }
+async function createTttRoom({ entryFeeUsd, creatorWallet, currency }, { isPrivate = false } = {}) {
     const code = genCode();
     
-    const tokenPrice = await getTokenPrice();
     const usdAmount = parseFloat(entryFeeUsd) || 0;
     const isFreeGame = usdAmount === 0;
-    const tokenAmount = isFreeGame ? 0 : Math.floor(usdAmount / tokenPrice);
+    const quote = await quoteStake(usdAmount, currency);
+    if (quote.error) return { status: 400, error: quote.error };
+    const { tokenAmount } = quote;
+    const symbol = getCurrency(quote.currency).symbol;
     
     const room = {
         code,
         gameType: 'tictactoe',
         createdAt: Date.now(),
         entryFeeUsd: usdAmount,
+        currency: quote.currency,
         tokenAmount: tokenAmount,
+        stakeRaw: quote.stakeRaw,
+        quote: quote.quote,
         isFreeGame: isFreeGame,
+        isPrivate: isPrivate,
         status: 'waiting_players',
         board: Array(9).fill(null),
         currentTurn: 'X',
         winner: null,
-        players: [{ id: 0, wallet: creatorWallet, name: getUsername(creatorWallet), symbol: 'X', paid: isFreeGame }],
+        players: [{ id: 0, wallet: creatorWallet, name: getUsername(creatorWallet), symbol: 'X', paid: isFreeGame, seatToken: createSeatToken() }],
         spectators: [],
         chat: []
     };
     
     tttRooms.set(code, room);
-    console.log(`TTT Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + TOKEN_SYMBOL}`);
+    publishRoomEvent(room, 'room_created');
+    saveRooms();
+    console.log(`TTT Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + symbol}`);
+    return { room };
+}
+
+app.post('/api/ttt/rooms', requireWallet('creatorWallet'), rejectBanned('creatorWallet'), async (req, res) => {
+    const { room, status, error } = await createTttRoom(req.body);
+    if (error) return res.status(status).json({ error });
+    const { code, isFreeGame, tokenAmount, entryFeeUsd: usdAmount } = room;
+    const { creatorWallet } = req.body;
+    const symbol = getCurrency(room).symbol;
     
     // Telegram notification
     const creatorName = getUsername(creatorWallet) || 'Anonymous';
     const roomLink = `https://ggfun.lol/ttt?room=${code}`;
     const telegramMsg = isFreeGame 
         ? `🎮 <b>New Tic-Tac-Toe Room!</b>\n\n🆓 Entry: <b>FREE</b>\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`
-        : `🎮 <b>New Tic-Tac-Toe Room!</b>\n\n💰 Entry: <b>${tokenAmount.toLocaleString()} $GGFUN</b> (~$${usdAmount})\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`;
+        : `🎮 <b>New Tic-Tac-Toe Room!</b>\n\n💰 Entry: <b>${tokenAmount.toLocaleString()} ${symbol}</b> (~$${usdAmount})\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`;
     sendTelegramNotification(telegramMsg);
     
-    res.json({ success: true, room, myPlayerId: 0, mySymbol: 'X' });
+    res.json({ success: true, room: withoutSeatTokens(room), myPlayerId: 0, mySymbol: 'X', seatToken: room.players[0].seatToken });
 });
 
-// Join TTT Room
-app.post('/api/ttt/rooms/:code/join', (req, res) => {
-    const code = req.params.code?.toUpperCase();
-    const room = tttRooms.get(code);
-    if (!room) return res.status(404).json({ error: 'Room not found' });
-    if (room.status === 'finished') return res.status(400).json({ error: 'Game finished' });
-    if (room.players.length >= 2) return res.status(400).json({ error: 'Room full' });
-    
-    const { playerWallet } = req.body;
+// Seat the second player (O). Returns { player } or { status, error }
+function joinTttRoom(room, playerWallet) {
+    if (room.status === 'finished') return { status: 400, error: 'Game finished' };
+    if (room.players.length >= 2) return { status: 400, error: 'Room full' };
     if (room.players.some(p => p.wallet === playerWallet)) {
-        return res.status(400).json({ error: 'Already in room' });
+        return { status: 400, error: 'Already in room' };
     }
     
-    const newPlayer = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), symbol: 'O', paid: room.isFreeGame };
+    const newPlayer = { id: 1, wallet: playerWallet, name: getUsername(playerWallet), symbol: 'O', paid: room.isFreeGame, seatToken: createSeatToken() };
     room.players.push(newPlayer);
     
     if (room.isFreeGame) {
@@ -1867,15 +5472,28 @@ app.post('/api/ttt/rooms/:code/join', (req, res) => {
     } else {
         room.status = 'waiting_payments';
     }
+    publishRoomEvent(room, 'player_joined', { playerId: newPlayer.id, name: newPlayer.name });
+    if (room.status === 'playing') publishRoomEvent(room, 'game_started', { currentTurn: room.currentTurn });
+    saveRooms();
+    return { player: newPlayer };
+}
+
+// Join TTT Room
+app.post('/api/ttt/rooms/:code/join', requireWallet('playerWallet'), rejectBanned('playerWallet'), (req, res) => {
+    const room = tttRooms.get(req.params.code?.toUpperCase());
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    if (room.isPrivate) return res.status(403).json({ error: 'This room is private' });
     
-    res.json({ success: true, room, myPlayerId: 1, mySymbol: 'O' });
+    const { player, status, error } = joinTttRoom(room, req.body.playerWallet);
+    if (error) return res.status(status).json({ error });
+    res.json({ success: true, room: withoutSeatTokens(room), myPlayerId: player.id, mySymbol: player.symbol, seatToken: player.seatToken });
 });
 
 // Get TTT Room
 app.get('/api/ttt/rooms/:code', (req, res) => {
     const room = tttRooms.get(req.params.code?.toUpperCase());
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    res.json({ success: true, room });
+    res.json({ success: true, room: { ...withoutSeatTokens(room), payouts: getRoomPayouts(room) } });
 });
 
 // TTT Move
@@ -1889,51 +5507,38 @@ app.post('/api/ttt/rooms/:code/move', (req, res) => {
     if (position < 0 || position > 8) return res.status(400).json({ error: 'Invalid position' });
     if (room.board[position]) return res.status(400).json({ error: 'Cell occupied' });
     
-    const player = room.players[playerId];
-    if (!player) return res.status(400).json({ error: 'Invalid player' });
+    const seat = authorizeSeat(room, playerId, req);
+    if (seat.error) return res.status(seat.status).json({ error: seat.error });
+    const { player } = seat;
     if (room.currentTurn !== player.symbol) return res.status(400).json({ error: 'Not your turn' });
     
     room.board[position] = player.symbol;
     const result = checkTTTWinner(room.board);
+    saveRooms();
     
     if (result) {
-        room.status = 'finished';
-        room.finishedAt = Date.now();
-        if (result === 'draw') {
-            room.winner = 'draw';
-            room.isDraw = true;
-            if (!room.isFreeGame) handleDrawPayout(room);
-        } else {
-            room.winner = playerId;
-            if (!room.isFreeGame) handlePayout(room);
-        }
+        publishRoomEvent(room, 'move', { playerId: player.id, symbol: player.symbol, position, board: room.board });
+        finishGame(room, result === 'draw' ? 'draw' : player.id).catch(e => console.error('TTT payout error:', e.message));
         return res.json({ success: true, board: room.board, gameOver: true, winner: room.winner, isDraw: result === 'draw' });
     }
     
     room.currentTurn = room.currentTurn === 'X' ? 'O' : 'X';
+    publishRoomEvent(room, 'move', { playerId: player.id, symbol: player.symbol, position, board: room.board, currentTurn: room.currentTurn });
+    saveRooms();
     res.json({ success: true, board: room.board, currentTurn: room.currentTurn });
 });
 
 // TTT Payment Verify
 app.post('/api/ttt/payments/verify', async (req, res) => {
-    const { roomCode, signature, playerWallet } = req.body;
-    const room = tttRooms.get(roomCode?.toUpperCase());
-    if (!room) return res.status(404).json({ error: 'Room not found' });
+    // Older clients send "signature"
+    const { roomCode, txSignature, signature, playerWallet, reference } = req.body;
     
     try {
-        const tx = await connection.getParsedTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
-        if (!tx) return res.status(400).json({ error: 'Transaction not found' });
-        
-        const player = room.players.find(p => p.wallet === playerWallet);
-        if (!player) return res.status(400).json({ error: 'Player not in room' });
-        
-        player.paid = true;
-        
-        if (room.players.length === 2 && room.players.every(p => p.paid)) {
-            room.status = 'playing';
-        }
+        const result = await confirmRoomPayment('tictactoe', roomCode, txSignature || signature, playerWallet, reference);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const { room } = result;
         
-        res.json({ success: true, room, gameStarted: room.status === 'playing' });
+        res.json({ success: true, room: withoutSeatTokens(room), gameStarted: room.status === 'playing' });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
@@ -1944,12 +5549,13 @@ app.get('/api/ttt/rooms', (req, res) => {
     const activeRooms = [];
     for (const [code, room] of tttRooms) {
         if (room.status !== 'finished' || Date.now() - room.createdAt < 300000) {
-            const showRoom = room.isFreeGame || room.players.some(p => p.paid);
+            const showRoom = !room.isPrivate && (room.isFreeGame || room.players.some(p => p.paid));
             if (showRoom) {
                 activeRooms.push({
                     code: room.code,
                     status: room.status,
                     entryFeeUsd: room.entryFeeUsd,
+                    currency: getCurrency(room).key,
                     tokenAmount: room.tokenAmount,
                     isFreeGame: room.isFreeGame,
                     playerCount: room.players.length,
@@ -2007,22 +5613,28 @@ function checkAllShipsSunk(grid, shots) {
 }
 
 // Create Battleship Room
-app.post('/api/battleship/rooms', async (req, res) => {
-    const { entryFeeUsd, creatorWallet } = req.body;
+// Create a Battleship room seated with its creator. Returns { room } or { status, error }
+async function createBattleshipRoom({ entryFeeUsd, creatorWallet, currency }, { isPrivate = false } = {}) {
     const code = genCode();
     
-    const tokenPrice = await getTokenPrice();
     const usdAmount = parseFloat(entryFeeUsd) || 0;
     const isFreeGame = usdAmount === 0;
-    const tokenAmount = isFreeGame ? 0 : Math.floor(usdAmount / tokenPrice);
+    const quote = await quoteStake(usdAmount, currency);
+    if (quote.error) return { status: 400, error: quote.error };
+    const { tokenAmount } = quote;
+    const symbol = getCurrency(quote.currency).symbol;
     
     const room = {
         code,
         gameType: 'battleship',
         createdAt: Date.now(),
         entryFeeUsd: usdAmount,
+        currency: quote.currency,
         tokenAmount: tokenAmount,
+        stakeRaw: quote.stakeRaw,
+        quote: quote.quote,
         isFreeGame: isFreeGame,
+        isPrivate: isPrivate,
         status: 'waiting_players',
         currentTurn: 0,
         winner: null,
@@ -2031,6 +5643,7 @@ app.post('/api/battleship/rooms', async (req, res) => {
             wallet: creatorWallet,
             name: getUsername(creatorWallet),
             paid: isFreeGame,
+            seatToken: createSeatToken(),
             grid: createEmptyGrid(),
             shots: createEmptyGrid(),
             shipsPlaced: false
@@ -2040,17 +5653,28 @@ app.post('/api/battleship/rooms', async (req, res) => {
     };
     
     battleshipRooms.set(code, room);
-    console.log(`Battleship Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + TOKEN_SYMBOL}`);
+    publishRoomEvent(room, 'room_created');
+    saveRooms();
+    console.log(`Battleship Room created: ${code} - ${isFreeGame ? 'FREE' : tokenAmount + ' ' + symbol}`);
+    return { room };
+}
+
+app.post('/api/battleship/rooms', requireWallet('creatorWallet'), rejectBanned('creatorWallet'), async (req, res) => {
+    const { room, status, error } = await createBattleshipRoom(req.body);
+    if (error) return res.status(status).json({ error });
+    const { code, isFreeGame, tokenAmount, entryFeeUsd: usdAmount } = room;
+    const { creatorWallet } = req.body;
+    const symbol = getCurrency(room).symbol;
     
     // Telegram notification
     const creatorName = getUsername(creatorWallet) || 'Anonymous';
     const roomLink = `https://ggfun.lol/battleship.html?room=${code}`;
     const telegramMsg = isFreeGame 
         ? `🚢 <b>New Battleship Room!</b>\n\n🆓 Entry: <b>FREE</b>\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`
-        : `🚢 <b>New Battleship Room!</b>\n\n💰 Entry: <b>${tokenAmount.toLocaleString()} $GGFUN</b> (~$${usdAmount})\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`;
+        : `🚢 <b>New Battleship Room!</b>\n\n💰 Entry: <b>${tokenAmount.toLocaleString()} ${symbol}</b> (~$${usdAmount})\n👤 Creator: ${creatorName}\n🎯 Room: <code>${code}</code>\n\n🔗 ${roomLink}`;
     sendTelegramNotification(telegramMsg);
     
-    res.json({ success: true, room: sanitizeBattleshipRoom(room, 0), myPlayerId: 0 });
+    res.json({ success: true, room: sanitizeBattleshipRoom(room, 0), myPlayerId: 0, seatToken: room.players[0].seatToken });
 });
 
 // Sanitize room (hide opponent's ships)
@@ -2060,11 +5684,18 @@ function sanitizeBattleshipRoom(room, viewerId) {
         gameType: room.gameType,
         status: room.status,
         entryFeeUsd: room.entryFeeUsd,
+        currency: getCurrency(room).key,
+        tokenSymbol: getCurrency(room).symbol,
         tokenAmount: room.tokenAmount,
+        quote: room.quote || null,
         isFreeGame: room.isFreeGame,
         currentTurn: room.currentTurn,
         winner: room.winner,
         createdAt: room.createdAt,
+        payoutRentLamports: room.payoutRentLamports || 0,
+        payouts: getRoomPayouts(room),
+        rematch: room.rematch || null,
+        rematchOf: room.rematchOf || null,
         players: room.players.map((p, idx) => ({
             id: p.id,
             name: p.name,
@@ -2077,17 +5708,12 @@ function sanitizeBattleshipRoom(room, viewerId) {
     };
 }
 
-// Join Battleship Room
-app.post('/api/battleship/rooms/:code/join', (req, res) => {
-    const code = req.params.code?.toUpperCase();
-    const room = battleshipRooms.get(code);
-    if (!room) return res.status(404).json({ error: 'Room not found' });
-    if (room.status === 'finished') return res.status(400).json({ error: 'Game finished' });
-    if (room.players.length >= 2) return res.status(400).json({ error: 'Room full' });
-    
-    const { playerWallet } = req.body;
+// Seat the second player. Returns { player } or { status, error }
+function joinBattleshipRoom(room, playerWallet) {
+    if (room.status === 'finished') return { status: 400, error: 'Game finished' };
+    if (room.players.length >= 2) return { status: 400, error: 'Room full' };
     if (room.players.some(p => p.wallet === playerWallet)) {
-        return res.status(400).json({ error: 'Already in room' });
+        return { status: 400, error: 'Already in room' };
     }
     
     const newPlayer = {
@@ -2095,14 +5721,47 @@ app.post('/api/battleship/rooms/:code/join', (req, res) => {
         wallet: playerWallet,
         name: getUsername(playerWallet),
         paid: room.isFreeGame,
+        seatToken: createSeatToken(),
         grid: createEmptyGrid(),
         shots: createEmptyGrid(),
         shipsPlaced: false
     };
     room.players.push(newPlayer);
     room.status = room.isFreeGame ? 'placing_ships' : 'waiting_payments';
+    publishRoomEvent(room, 'player_joined', { playerId: newPlayer.id, name: newPlayer.name });
+    saveRooms();
+    return { player: newPlayer };
+}
+
+// Join Battleship Room
+app.post('/api/battleship/rooms/:code/join', requireWallet('playerWallet'), rejectBanned('playerWallet'), (req, res) => {
+    const room = battleshipRooms.get(req.params.code?.toUpperCase());
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    if (room.isPrivate) return res.status(403).json({ error: 'This room is private' });
+    
+    const { player, status, error } = joinBattleshipRoom(room, req.body.playerWallet);
+    if (error) return res.status(status).json({ error });
+    res.json({ success: true, room: sanitizeBattleshipRoom(room, player.id), myPlayerId: player.id, seatToken: player.seatToken });
+});
+
+// Battleship Payment Verify
+app.post('/api/battleship/payments/verify', async (req, res) => {
+    const { roomCode, txSignature, signature, playerWallet, reference } = req.body;
     
-    res.json({ success: true, room: sanitizeBattleshipRoom(room, 1), myPlayerId: 1 });
+    try {
+        const result = await confirmRoomPayment('battleship', roomCode, txSignature || signature, playerWallet, reference);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const { room, player } = result;
+        
+        res.json({
+            success: true,
+            room: sanitizeBattleshipRoom(room, player.id),
+            myPlayerId: player.id,
+            gameStarted: room.status === 'placing_ships'
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
 // Place Ships
@@ -2114,8 +5773,9 @@ app.post('/api/battleship/rooms/:code/place-ships', (req, res) => {
     const { playerId, ships } = req.body;
     // ships = [{ name, row, col, horizontal }, ...]
     
-    const player = room.players[playerId];
-    if (!player) return res.status(400).json({ error: 'Invalid player' });
+    const seat = authorizeSeat(room, playerId, req);
+    if (seat.error) return res.status(seat.status).json({ error: seat.error });
+    const { player } = seat;
     if (player.shipsPlaced) return res.status(400).json({ error: 'Ships already placed' });
     
     // Validate and place ships
@@ -2137,8 +5797,12 @@ app.post('/api/battleship/rooms/:code/place-ships', (req, res) => {
         room.status = 'playing';
         room.currentTurn = 0;
     }
+    // Never the grid itself - the opponent is listening too
+    publishRoomEvent(room, 'ships_placed', { playerId: player.id });
+    if (room.status === 'playing') publishRoomEvent(room, 'game_started', { currentTurn: room.currentTurn });
+    saveRooms();
     
-    res.json({ success: true, room: sanitizeBattleshipRoom(room, playerId) });
+    res.json({ success: true, room: sanitizeBattleshipRoom(room, player.id) });
 });
 
 // Fire shot
@@ -2149,17 +5813,20 @@ app.post('/api/battleship/rooms/:code/fire', (req, res) => {
     if (room.status !== 'playing') return res.status(400).json({ error: 'Game not in progress' });
     
     const { playerId, row, col } = req.body;
-    if (room.currentTurn !== playerId) return res.status(400).json({ error: 'Not your turn' });
+    const seat = authorizeSeat(room, playerId, req);
+    if (seat.error) return res.status(seat.status).json({ error: seat.error });
+    const { player } = seat;
+    if (room.currentTurn !== player.id) return res.status(400).json({ error: 'Not your turn' });
     if (row < 0 || row >= 10 || col < 0 || col >= 10) return res.status(400).json({ error: 'Invalid coordinates' });
     
-    const player = room.players[playerId];
-    const opponent = room.players[playerId === 0 ? 1 : 0];
+    const opponent = room.players[player.id === 0 ? 1 : 0];
     
     if (player.shots[row][col]) return res.status(400).json({ error: 'Already fired there' });
     
     // Check hit or miss
     const hit = opponent.grid[row][col] !== null;
     player.shots[row][col] = hit ? 'hit' : 'miss';
+    saveRooms();
     
     // Check if ship sunk
     let sunkShip = null;
@@ -2181,29 +5848,29 @@ app.post('/api/battleship/rooms/:code/fire', (req, res) => {
     
     // Check win
     if (checkAllShipsSunk(opponent.grid, player.shots)) {
-        room.status = 'finished';
-        room.winner = playerId;
-        room.finishedAt = Date.now();
-        if (!room.isFreeGame) handlePayout(room);
+        publishRoomEvent(room, 'shot', { playerId: player.id, row, col, hit, sunkShip });
+        finishGame(room, player.id).catch(e => console.error('Battleship payout error:', e.message));
         return res.json({ 
             success: true, 
             hit, 
             sunkShip, 
             gameOver: true, 
-            winner: playerId,
-            room: sanitizeBattleshipRoom(room, playerId)
+            winner: player.id,
+            room: sanitizeBattleshipRoom(room, player.id)
         });
     }
     
     // Switch turn
-    room.currentTurn = playerId === 0 ? 1 : 0;
+    room.currentTurn = player.id === 0 ? 1 : 0;
+    publishRoomEvent(room, 'shot', { playerId: player.id, row, col, hit, sunkShip, currentTurn: room.currentTurn });
+    saveRooms();
     
     res.json({ 
         success: true, 
         hit, 
         sunkShip,
         currentTurn: room.currentTurn,
-        room: sanitizeBattleshipRoom(room, playerId)
+        room: sanitizeBattleshipRoom(room, player.id)
     });
 });
 
@@ -2212,7 +5879,13 @@ app.get('/api/battleship/rooms/:code', (req, res) => {
     const room = battleshipRooms.get(req.params.code?.toUpperCase());
     if (!room) return res.status(404).json({ error: 'Room not found' });
     
-    const viewerId = parseInt(req.query.playerId) || 0;
+    // Own grid only with the seat's token - everyone else gets the spectator view
+    let viewerId = null;
+    if (req.query.playerId !== undefined) {
+        const seat = authorizeSeat(room, req.query.playerId, req);
+        if (seat.error) return res.status(seat.status).json({ error: seat.error });
+        viewerId = seat.player.id;
+    }
     res.json({ success: true, room: sanitizeBattleshipRoom(room, viewerId) });
 });
 
@@ -2221,12 +5894,13 @@ app.get('/api/battleship/rooms', (req, res) => {
     const activeRooms = [];
     for (const [code, room] of battleshipRooms) {
         if (room.status !== 'finished' || Date.now() - room.createdAt < 300000) {
-            const showRoom = room.isFreeGame || room.players.some(p => p.paid);
+            const showRoom = !room.isPrivate && (room.isFreeGame || room.players.some(p => p.paid));
             if (showRoom) {
                 activeRooms.push({
                     code: room.code,
                     status: room.status,
                     entryFeeUsd: room.entryFeeUsd,
+                    currency: getCurrency(room).key,
                     tokenAmount: room.tokenAmount,
                     isFreeGame: room.isFreeGame,
                     playerCount: room.players.length,